@@ -0,0 +1,46 @@
+// lib/api-errors.js
+//
+// One error shape for every /api route:
+//   HTTP <status>  { success: false, code, msg, ...extra }
+// `code` is the stable, machine-readable part clients should branch on; `msg` is a Thai
+// sentence meant for the user and may be reworded at any time. Validation failures add
+// `errors: [{ field, code, msg }]` (see lib/validate.js), 429s add `retryAfter` (seconds).
+// The status of each code is fixed here, so a handler only picks the code.
+
+const API_ERRORS = {
+  VALIDATION_FAILED: [400, 'ข้อมูลไม่ถูกต้อง'],
+  INVALID_JSON: [400, 'รูปแบบข้อมูลที่ส่งมาไม่ถูกต้อง'],
+  INVALID_TOKEN: [400, 'ลิงก์ไม่ถูกต้องหรือหมดอายุแล้ว'],
+  INVALID_ACTION: [400, 'ไม่สามารถดำเนินการนี้ได้'],
+  WRONG_PASSWORD: [400, 'รหัสผ่านปัจจุบันไม่ถูกต้อง'],
+  UNAUTHENTICATED: [401, 'กรุณาเข้าสู่ระบบ'],
+  INVALID_CREDENTIALS: [401, 'อีเมลหรือรหัสผ่านไม่ถูกต้อง'],
+  FORBIDDEN: [403, 'คุณไม่มีสิทธิ์ดำเนินการนี้'],
+  CSRF_INVALID: [403, 'คำขอไม่ผ่านการตรวจสอบความปลอดภัย กรุณารีเฟรชหน้าแล้วลองใหม่'],
+  EMAIL_NOT_VERIFIED: [403, 'กรุณายืนยันอีเมลก่อน'],
+  ACCOUNT_SUSPENDED: [403, 'บัญชีนี้ถูกระงับการใช้งาน'],
+  NOT_OWNER: [403, 'คุณไม่ใช่เจ้าของเนื้อหานี้'],
+  BLOCKED: [403, 'ไม่สามารถดำเนินการได้เนื่องจากมีการบล็อก'],
+  NOT_FOUND: [404, 'ไม่พบข้อมูล'],
+  USERNAME_TAKEN: [409, 'ชื่อผู้ใช้นี้ถูกใช้แล้ว'],
+  EMAIL_TAKEN: [409, 'อีเมลนี้ถูกใช้แล้ว'],
+  ALREADY_VERIFIED: [409, 'ยืนยันอีเมลแล้ว'],
+  ALREADY_REPORTED: [409, 'คุณรายงานเนื้อหานี้ไปแล้ว'],
+  ALREADY_RESOLVED: [409, 'รายงานนี้ถูกดำเนินการไปแล้ว'],
+  NOT_SUSPENDED: [409, 'บัญชีนี้ไม่ได้ถูกระงับ'],
+  PAYLOAD_TOO_LARGE: [413, 'ข้อมูลที่ส่งมามีขนาดใหญ่เกินไป'],
+  RATE_LIMITED: [429, 'ส่งคำขอบ่อยเกินไป กรุณาลองใหม่ภายหลัง'],
+  INTERNAL: [500, 'เกิดข้อผิดพลาด กรุณาลองใหม่อีกครั้ง']
+};
+
+/**
+ * sendError(res, code, msg?, extra?) - answer with API_ERRORS[code]; msg defaults to the
+ * code's own message. Unknown codes are a bug and go out as INTERNAL.
+ */
+function sendError(res, code, msg, extra) {
+  if (!Object.prototype.hasOwnProperty.call(API_ERRORS, code)) code = 'INTERNAL';
+  const [status, defaultMsg] = API_ERRORS[code];
+  return res.status(status).json({ success: false, code, msg: msg || defaultMsg, ...extra });
+}
+
+module.exports = { API_ERRORS, sendError };
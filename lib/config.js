@@ -0,0 +1,192 @@
+// lib/config.js
+//
+// Server settings, read once at startup from (highest priority first):
+//   1. environment variables (names in ENV_KEYS below)
+//   2. a JSON config file: $CONFIG_FILE, or config.json in the project root if present
+//   3. the defaults below
+// loadConfig() checks every value and throws a ConfigError listing all problems, so a
+// bad deployment fails at boot instead of on the first request that needs the value.
+//
+// JWT signing keys: `jwtKeys` maps a key id (kid) to a secret; `jwtActiveKid` picks the
+// one new tokens are signed with. From the environment:
+//   JWT_KEYS="2025a:<secret>,2026a:<secret>"  JWT_ACTIVE_KID=2026a
+// or just JWT_SECRET=<secret> for a single key (kid "default"). To rotate, add the new
+// key, make it active and keep the old one until tokens signed with it have expired.
+// Without any key configured the old built-in secret is used, which NODE_ENV=production
+// refuses.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_SECRET = 'community_super_secret_2025';
+const MIN_SECRET_LENGTH = 32;
+const MAIL_TRANSPORTS = ['outbox', 'console'];
+
+const DEFAULTS = {
+  env: 'development',
+  port: 3000,
+  dataDir: path.join(ROOT_DIR, 'data'),
+  sessionDays: 30,
+  jwtKeys: null,
+  jwtActiveKid: null,
+  imageMaxDimension: 1200,
+  maxPostImages: 20,
+  maxUploadBytes: 10 * 1024 * 1024,
+  maxImagePixels: 40000000,
+  baseUrl: '',
+  mailTransport: 'outbox',
+  // outside dataDir on purpose: the messages hold live verification / reset links
+  outboxDir: path.join(ROOT_DIR, 'outbox'),
+  mailFrom: 'Community <no-reply@localhost>',
+  adminUsernames: [],
+  rateLimits: {}
+};
+
+// config key -> environment variable
+const ENV_KEYS = {
+  env: 'NODE_ENV',
+  port: 'PORT',
+  dataDir: 'DATA_DIR',
+  sessionDays: 'SESSION_DAYS',
+  jwtKeys: 'JWT_KEYS',
+  jwtActiveKid: 'JWT_ACTIVE_KID',
+  imageMaxDimension: 'IMAGE_MAX_DIMENSION',
+  maxPostImages: 'MAX_POST_IMAGES',
+  maxUploadBytes: 'MAX_UPLOAD_BYTES',
+  maxImagePixels: 'MAX_IMAGE_PIXELS',
+  baseUrl: 'BASE_URL',
+  mailTransport: 'MAIL_TRANSPORT',
+  outboxDir: 'OUTBOX_DIR',
+  mailFrom: 'MAIL_FROM',
+  adminUsernames: 'ADMIN_USERNAMES',
+  rateLimits: 'RATE_LIMITS'
+};
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/* "kid:secret,kid:secret" or a JSON object */
+function parseKeyList(value) {
+  const s = String(value).trim();
+  if (s.startsWith('{')) return JSON.parse(s);
+  const out = {};
+  for (const part of s.split(',').map(x => x.trim()).filter(Boolean)) {
+    const i = part.indexOf(':');
+    if (i <= 0) throw new Error(`expected kid:secret, got "${part.slice(0, 12)}..."`);
+    out[part.slice(0, i)] = part.slice(i + 1);
+  }
+  return out;
+}
+
+function readConfigFile(file, problems) {
+  if (!file) {
+    const fallback = path.join(ROOT_DIR, 'config.json');
+    if (!fs.existsSync(fallback)) return {};
+    file = fallback;
+  }
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      problems.push(`${file}: expected a JSON object`);
+      return {};
+    }
+    for (const key of Object.keys(parsed)) {
+      if (!Object.prototype.hasOwnProperty.call(DEFAULTS, key)) problems.push(`${file}: unknown setting "${key}"`);
+    }
+    return parsed;
+  } catch (e) {
+    problems.push(`${file}: ${e.message}`);
+    return {};
+  }
+}
+
+/* Turn an environment string into the type the setting uses */
+function fromEnv(key, raw, problems) {
+  try {
+    switch (key) {
+      case 'port':
+      case 'sessionDays':
+      case 'imageMaxDimension':
+      case 'maxPostImages':
+      case 'maxUploadBytes':
+      case 'maxImagePixels':
+        return Number(raw);
+      case 'jwtKeys':
+        return parseKeyList(raw);
+      case 'adminUsernames':
+        return raw.split(',').map(x => x.trim()).filter(Boolean);
+      case 'rateLimits':
+        return JSON.parse(raw);
+      default:
+        return raw;
+    }
+  } catch (e) {
+    problems.push(`${ENV_KEYS[key]}: ${e.message}`);
+    return DEFAULTS[key];
+  }
+}
+
+function isInt(n, min, max) {
+  return Number.isInteger(n) && n >= min && n <= max;
+}
+
+/**
+ * loadConfig({ env, file }) -> frozen settings object; throws ConfigError.
+ * env defaults to process.env, file to env.CONFIG_FILE.
+ */
+function loadConfig({ env = process.env, file = env.CONFIG_FILE } = {}) {
+  const problems = [];
+  const config = { ...DEFAULTS, ...readConfigFile(file, problems) };
+  for (const [key, name] of Object.entries(ENV_KEYS)) {
+    if (env[name] !== undefined && env[name] !== '') config[key] = fromEnv(key, env[name], problems);
+  }
+  if (env.JWT_SECRET && !env.JWT_KEYS) config.jwtKeys = { default: env.JWT_SECRET };
+
+  const production = config.env === 'production';
+  if (!isInt(config.port, 1, 65535)) problems.push(`port must be 1-65535, got ${config.port}`);
+  if (!(config.sessionDays > 0)) problems.push(`sessionDays must be a positive number, got ${config.sessionDays}`);
+  if (!isInt(config.imageMaxDimension, 100, 10000)) problems.push(`imageMaxDimension must be 100-10000, got ${config.imageMaxDimension}`);
+  if (!isInt(config.maxPostImages, 1, 100)) problems.push(`maxPostImages must be 1-100, got ${config.maxPostImages}`);
+  if (!isInt(config.maxUploadBytes, 1024, 100 * 1024 * 1024)) problems.push(`maxUploadBytes must be 1024-104857600, got ${config.maxUploadBytes}`);
+  if (!isInt(config.maxImagePixels, 10000, 268402689)) problems.push(`maxImagePixels must be 10000-268402689, got ${config.maxImagePixels}`);
+  if (!MAIL_TRANSPORTS.includes(config.mailTransport)) problems.push(`mailTransport must be one of ${MAIL_TRANSPORTS.join(', ')}, got "${config.mailTransport}"`);
+  if (config.baseUrl && !/^https?:\/\/[^/]+/.test(config.baseUrl)) problems.push(`baseUrl must be an http(s) URL, got "${config.baseUrl}"`);
+  if (!Array.isArray(config.adminUsernames)) problems.push('adminUsernames must be a list');
+  if (!config.rateLimits || typeof config.rateLimits !== 'object' || Array.isArray(config.rateLimits)) problems.push('rateLimits must be an object');
+  config.dataDir = path.resolve(ROOT_DIR, String(config.dataDir));
+  config.outboxDir = path.resolve(ROOT_DIR, String(config.outboxDir));
+  if (config.outboxDir === config.dataDir || config.outboxDir.startsWith(config.dataDir + path.sep)) {
+    problems.push(`outboxDir must not be inside dataDir (${config.dataDir}), got "${config.outboxDir}"`);
+  }
+
+  // signing keys
+  if (!config.jwtKeys || !Object.keys(config.jwtKeys).length) {
+    if (production) problems.push('no JWT signing key configured (set JWT_SECRET or JWT_KEYS); refusing to use the built-in default in production');
+    config.jwtKeys = { default: DEFAULT_SECRET };
+  } else {
+    for (const [kid, secret] of Object.entries(config.jwtKeys)) {
+      if (typeof secret !== 'string' || !secret) problems.push(`JWT key "${kid}" is empty`);
+      else if (production && secret === DEFAULT_SECRET) problems.push(`JWT key "${kid}" is the built-in default secret; refusing to start in production`);
+      else if (production && secret.length < MIN_SECRET_LENGTH) problems.push(`JWT key "${kid}" is shorter than ${MIN_SECRET_LENGTH} characters`);
+    }
+  }
+  if (!config.jwtActiveKid) {
+    const kids = Object.keys(config.jwtKeys);
+    if (kids.length === 1) config.jwtActiveKid = kids[0];
+    else problems.push('several JWT keys configured but no jwtActiveKid (JWT_ACTIVE_KID) to sign new tokens with');
+  } else if (!Object.prototype.hasOwnProperty.call(config.jwtKeys, config.jwtActiveKid)) {
+    problems.push(`jwtActiveKid "${config.jwtActiveKid}" is not one of the configured keys`);
+  }
+
+  if (problems.length) throw new ConfigError(problems);
+  config.jwtKeys = Object.freeze({ ...config.jwtKeys });
+  return Object.freeze(config);
+}
+
+module.exports = { loadConfig, ConfigError, DEFAULT_SECRET };
@@ -0,0 +1,72 @@
+// lib/image-renditions.js
+//
+// Resized copies of post images, made with sharp, so pages can pick a size with srcset
+// instead of always downloading the full image. For an image stored as <name>.jpg each
+// size in `sizes` (longest edge in px, never enlarged) gets a WebP and a JPEG file:
+//   <name>.jpg             full size JPEG - the URL kept in post.images
+//   <name>-full.webp
+//   <name>-feed.jpg/.webp  (default 800px)
+//   <name>-thumb.jpg/.webp (default 320px)
+// A size that isn't smaller than the full image is skipped, the full one covers it.
+// writeRenditions returns a manifest that the caller stores with the image:
+//   { width, height, variants: [{ name, width, height, jpeg, webp }, ...] } (narrowest first)
+// EXIF orientation is applied and metadata (camera, GPS) is stripped from every output.
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// libvips' operation cache keeps decoded images around; not worth the memory on a phone
+sharp.cache(false);
+
+const DEFAULT_SIZES = { thumb: 320, feed: 800, full: 1200 };
+const JPEG_OPTIONS = { quality: 82, mozjpeg: true };
+const WEBP_OPTIONS = { quality: 80 };
+
+function fitInside(size) {
+  return { width: size, height: size, fit: 'inside', withoutEnlargement: true };
+}
+
+/**
+ * writeRenditions(input, { dir, fileName, urlPrefix, sizes }) -> manifest
+ * input: image buffer. fileName: name of the full size JPEG in `dir`; the other files are
+ * named after it.
+ */
+async function writeRenditions(input, { dir, fileName, urlPrefix, sizes = DEFAULT_SIZES }) {
+  const base = path.basename(fileName, path.extname(fileName));
+  const url = name => `${urlPrefix}/${name}`;
+  fs.mkdirSync(dir, { recursive: true });
+
+  const source = sharp(input, { failOn: 'none' }).rotate();
+  const variants = [];
+
+  const full = await source.clone().resize(fitInside(sizes.full)).jpeg(JPEG_OPTIONS).toFile(path.join(dir, fileName));
+  await source.clone().resize(fitInside(sizes.full)).webp(WEBP_OPTIONS).toFile(path.join(dir, `${base}-full.webp`));
+  variants.push({ name: 'full', width: full.width, height: full.height, jpeg: url(fileName), webp: url(`${base}-full.webp`) });
+
+  const longEdge = Math.max(full.width, full.height);
+  for (const [name, size] of Object.entries(sizes)) {
+    if (name === 'full' || size >= longEdge) continue;
+    const jpegName = `${base}-${name}.jpg`;
+    const webpName = `${base}-${name}.webp`;
+    const info = await source.clone().resize(fitInside(size)).jpeg(JPEG_OPTIONS).toFile(path.join(dir, jpegName));
+    await source.clone().resize(fitInside(size)).webp(WEBP_OPTIONS).toFile(path.join(dir, webpName));
+    variants.push({ name, width: info.width, height: info.height, jpeg: url(jpegName), webp: url(webpName) });
+  }
+
+  variants.sort((a, b) => a.width - b.width);
+  return { width: full.width, height: full.height, variants };
+}
+
+/* Every file URL in a manifest except the full size JPEG (which the caller owns) */
+function renditionUrls(manifest) {
+  if (!manifest || !Array.isArray(manifest.variants)) return [];
+  const out = [];
+  for (const v of manifest.variants) {
+    if (v.webp) out.push(v.webp);
+    if (v.jpeg && v.name !== 'full') out.push(v.jpeg);
+  }
+  return out;
+}
+
+module.exports = { writeRenditions, renditionUrls, DEFAULT_SIZES };
@@ -0,0 +1,53 @@
+// lib/image-upload.js
+//
+// Checks for uploaded images, run on the buffer multer hands over before anything is
+// written to disk. The file name and the Content-Type the browser sent are ignored: the
+// type comes from the file's first bytes (its "magic number"), and only the formats in
+// IMAGE_TYPES get through. The image is then opened with sharp to read its size, which
+// catches files that only start like an image, and images with more pixels than
+// `maxPixels` are turned down before anything decodes them in full (a small PNG can
+// unpack to gigabytes).
+//
+// Whatever passes is re-encoded by the caller (lib/image-renditions.js, the avatar
+// route), never stored as uploaded, so EXIF and other metadata don't survive either.
+
+const sharp = require('sharp');
+
+// type -> test on the first bytes of the file
+const IMAGE_TYPES = {
+  jpeg: b => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  png: b => b.length > 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  gif: b => b.length > 6 && (b.toString('latin1', 0, 6) === 'GIF87a' || b.toString('latin1', 0, 6) === 'GIF89a'),
+  webp: b => b.length > 12 && b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP'
+};
+
+/* 'jpeg' | 'png' | 'gif' | 'webp', or null when the bytes aren't one of them */
+function sniffImageType(buffer) {
+  if (!Buffer.isBuffer(buffer)) return null;
+  for (const [type, test] of Object.entries(IMAGE_TYPES)) {
+    if (test(buffer)) return type;
+  }
+  return null;
+}
+
+/**
+ * inspectImage(buffer, { maxPixels }) -> { type, width, height } or { code, msg }
+ * Codes follow lib/validate.js: invalid_format (not a supported image) and too_large.
+ */
+async function inspectImage(buffer, { maxPixels }) {
+  const type = sniffImageType(buffer);
+  if (!type) return { code: 'invalid_format', msg: 'รองรับเฉพาะไฟล์รูปภาพ JPEG, PNG, GIF และ WebP' };
+  let meta;
+  try {
+    meta = await sharp(buffer, { limitInputPixels: false }).metadata();
+  } catch (e) {
+    return { code: 'invalid_format', msg: 'ไฟล์รูปภาพเสียหายหรือเปิดไม่ได้' };
+  }
+  if (!meta.width || !meta.height) return { code: 'invalid_format', msg: 'ไฟล์รูปภาพเสียหายหรือเปิดไม่ได้' };
+  if (meta.width * meta.height > maxPixels) {
+    return { code: 'too_large', msg: `รูปภาพต้องมีขนาดไม่เกิน ${Math.floor(maxPixels / 1e6)} ล้านพิกเซล` };
+  }
+  return { type, width: meta.width, height: meta.height };
+}
+
+module.exports = { IMAGE_TYPES, sniffImageType, inspectImage };
@@ -0,0 +1,82 @@
+// lib/json-store.js
+//
+// Shared helpers for the JSON files under data/.
+// - writeJson writes to a temp file next to the target and renames it into place,
+//   so a crash mid-write leaves either the old or the new file, never a truncated one.
+// - updateJson queues read-modify-write cycles per file, so two requests updating the
+//   same file at once can't overwrite each other's changes. The queue is in-process
+//   only; run a single server process against a data directory.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// absolute file path -> tail of that file's update queue
+const queues = new Map();
+
+/**
+ * Read and parse a JSON file.
+ * Returns `fallback` if the file doesn't exist (or is empty); throws on invalid JSON
+ * so a damaged file is never silently replaced by the fallback.
+ */
+function readJson(file, fallback = null) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return fallback;
+    throw e;
+  }
+  if (!raw.trim()) return fallback;
+  return JSON.parse(raw);
+}
+
+/* Atomically replace `file` with the JSON encoding of `data` */
+function writeJson(file, data) {
+  const dir = path.dirname(file);
+  const tmp = path.join(dir, `.${path.basename(file)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify(data, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    try { fs.unlinkSync(tmp); } catch { /* ignore */ }
+    throw e;
+  }
+}
+
+/**
+ * Run `fn` once every earlier task queued for `file` has finished.
+ * Resolves/rejects with fn's result; a failing task doesn't block the ones after it.
+ */
+function withFileLock(file, fn) {
+  const key = path.resolve(file);
+  const prev = queues.get(key) || Promise.resolve();
+  const run = prev.then(() => fn());
+  const tail = run.catch(() => {});
+  queues.set(key, tail);
+  tail.then(() => { if (queues.get(key) === tail) queues.delete(key); });
+  return run;
+}
+
+/**
+ * Serialized read-modify-write of a JSON file.
+ * `mutator(current)` may change `current` in place or return a replacement value
+ * (it may be async). Resolves with the value that was written.
+ */
+function updateJson(file, fallback, mutator) {
+  return withFileLock(file, async () => {
+    const current = readJson(file, fallback);
+    const result = await mutator(current);
+    const next = typeof result === 'undefined' ? current : result;
+    writeJson(file, next);
+    return next;
+  });
+}
+
+module.exports = { readJson, writeJson, updateJson, withFileLock };
@@ -0,0 +1,55 @@
+// lib/keyring.js
+//
+// JWT signing with several keys, so the secret can be rotated without invalidating every
+// token at once. New tokens are signed with the active key and carry its id in the `kid`
+// header; a token is checked with the key its kid names. Tokens from before kids were
+// used have none and are tried against each key.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * createKeyring(keys: { kid: secret }, activeKid) -> { activeKid, sign, verify, derive }
+ * sign(payload, options) / verify(token, options) take jsonwebtoken's options;
+ * verify throws like jwt.verify.
+ */
+function createKeyring(keys, activeKid) {
+  if (!Object.prototype.hasOwnProperty.call(keys, activeKid)) throw new Error(`unknown active kid "${activeKid}"`);
+
+  function sign(payload, options = {}) {
+    return jwt.sign(payload, keys[activeKid], { ...options, keyid: activeKid });
+  }
+
+  function verify(token, options = {}) {
+    const decoded = jwt.decode(String(token || ''), { complete: true });
+    if (!decoded) throw new jwt.JsonWebTokenError('jwt malformed');
+    const kid = decoded.header.kid;
+    if (kid !== undefined) {
+      if (!Object.prototype.hasOwnProperty.call(keys, kid)) throw new jwt.JsonWebTokenError('unknown kid');
+      return jwt.verify(token, keys[kid], options);
+    }
+    let lastError = null;
+    for (const id of [activeKid, ...Object.keys(keys).filter(k => k !== activeKid)]) {
+      try { return jwt.verify(token, keys[id], options); } catch (e) {
+        lastError = e;
+        // a valid signature that's expired won't verify with another key either
+        if (e instanceof jwt.TokenExpiredError) break;
+      }
+    }
+    throw lastError;
+  }
+
+  // same kids, each secret replaced by HMAC(secret, label): tokens for another purpose
+  // (e.g. email links) that can never pass as one of ours
+  function derive(label) {
+    const derived = {};
+    for (const [id, secret] of Object.entries(keys)) {
+      derived[id] = crypto.createHmac('sha256', secret).update(label).digest('base64');
+    }
+    return createKeyring(derived, activeKid);
+  }
+
+  return { activeKid, sign, verify, derive };
+}
+
+module.exports = { createKeyring };
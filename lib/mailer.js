@@ -0,0 +1,56 @@
+// lib/mailer.js
+//
+// Outgoing mail behind a small transport interface: a transport is any object with
+// `async send(message)`, where message is { from, to, subject, text, html }.
+// - createOutboxTransport(dir): writes each message to <dir>/<time>-<id>.json. The default,
+//   so verification / reset links work on a dev box (and in tests) without an SMTP server.
+// - createConsoleTransport(): logs the message, for quick local runs.
+// A real SMTP / API transport only needs to implement send() and be passed to createMailer.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeJson } = require('./json-store');
+
+function createOutboxTransport(dir) {
+  return {
+    name: 'outbox',
+    async send(message) {
+      fs.mkdirSync(dir, { recursive: true });
+      const id = crypto.randomBytes(6).toString('hex');
+      const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}.json`);
+      writeJson(file, { ...message, sentAt: new Date().toISOString() });
+      return { id, file };
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`[mail] to=${message.to} subject=${message.subject}\n${message.text}`);
+      return { id: crypto.randomBytes(6).toString('hex') };
+    }
+  };
+}
+
+/**
+ * createMailer({ transport, from }) -> { send({ to, subject, text, html }) }
+ * send never throws: failures are logged and reported as { ok: false }, so a broken
+ * transport can't fail the request that triggered the mail.
+ */
+function createMailer({ transport, from }) {
+  async function send({ to, subject, text, html }) {
+    try {
+      const info = await transport.send({ from, to, subject, text, html });
+      return { ok: true, ...info };
+    } catch (e) {
+      console.error(`mail via ${transport.name || 'transport'} failed:`, e && e.message);
+      return { ok: false };
+    }
+  }
+  return { send, transport };
+}
+
+module.exports = { createMailer, createOutboxTransport, createConsoleTransport };
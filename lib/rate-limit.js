@@ -0,0 +1,130 @@
+// lib/rate-limit.js
+//
+// Request limits for the auth and write endpoints.
+// - Limiters keep their state in a store with async get/set/delete, so the in-memory
+//   default can later be swapped for one that persists (a file, Redis, ...) without
+//   touching the callers. Values are plain JSON objects.
+// - createTokenBucket: `points` requests, refilled evenly over `durationMs`; short bursts
+//   are allowed up to `points`, the sustained rate is points / duration.
+// - createFailureLockout: counts failed attempts per key (e.g. per account); after
+//   `freeAttempts` failures each further one locks the key for baseDelayMs, doubling up to
+//   maxDelayMs. A success resets it; failures are forgotten after `resetAfterMs` of quiet.
+//   attempt() counts an attempt as failed before the (slow) password check runs, and
+//   updates of one key run one at a time, so parallel guesses can't all get in on the
+//   same count; reset() on success takes the count back.
+
+/**
+ * createMemoryStore() -> { get, set, delete }
+ * set(key, value, ttlMs) drops the entry after ttlMs. Expired entries are also swept
+ * periodically so keys that are never read again don't pile up.
+ */
+function createMemoryStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+  const entries = new Map(); // key -> { value, expiresAt }
+
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, e] of entries) {
+      if (e.expiresAt <= now) entries.delete(key);
+    }
+  }, sweepIntervalMs);
+  if (timer.unref) timer.unref();
+
+  return {
+    async get(key) {
+      const e = entries.get(key);
+      if (!e) return null;
+      if (e.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return e.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+/**
+ * createTokenBucket({ store, name, points, durationMs }) -> { consume(key, cost) }
+ * consume resolves to { allowed, remaining, retryAfterMs }.
+ */
+function createTokenBucket({ store, name, points, durationMs }) {
+  const ratePerMs = points / durationMs;
+
+  async function consume(key, cost = 1) {
+    const k = `${name}:${key}`;
+    const now = Date.now();
+    const state = (await store.get(k)) || { tokens: points, updatedAt: now };
+    const tokens = Math.min(points, state.tokens + (now - state.updatedAt) * ratePerMs);
+    if (tokens < cost) {
+      await store.set(k, { tokens, updatedAt: now }, durationMs);
+      return { allowed: false, remaining: 0, retryAfterMs: Math.ceil((cost - tokens) / ratePerMs) };
+    }
+    await store.set(k, { tokens: tokens - cost, updatedAt: now }, durationMs);
+    return { allowed: true, remaining: Math.floor(tokens - cost), retryAfterMs: 0 };
+  }
+
+  return { consume };
+}
+
+/**
+ * createFailureLockout({ store, name, freeAttempts, baseDelayMs, maxDelayMs, resetAfterMs })
+ *   -> { check(key), attempt(key), fail(key), reset(key) }
+ * check / attempt / fail resolve to { locked, retryAfterMs }. attempt is check + fail in
+ * one step: when the key isn't locked it counts a failure and lets the attempt through.
+ */
+function createFailureLockout({ store, name, freeAttempts, baseDelayMs, maxDelayMs, resetAfterMs }) {
+  const storeKey = key => `${name}:${key}`;
+  const queues = new Map(); // key -> tail of its update queue
+
+  function serialized(key, fn) {
+    const prev = queues.get(key) || Promise.resolve();
+    const run = prev.then(() => fn());
+    const tail = run.catch(() => {});
+    queues.set(key, tail);
+    tail.then(() => { if (queues.get(key) === tail) queues.delete(key); });
+    return run;
+  }
+
+  async function check(key) {
+    const state = await store.get(storeKey(key));
+    const wait = state ? state.lockedUntil - Date.now() : 0;
+    return wait > 0 ? { locked: true, retryAfterMs: wait } : { locked: false, retryAfterMs: 0 };
+  }
+
+  async function addFailure(key) {
+    const now = Date.now();
+    const state = (await store.get(storeKey(key))) || { failures: 0, lockedUntil: 0 };
+    state.failures += 1;
+    const over = state.failures - freeAttempts;
+    if (over > 0) state.lockedUntil = now + Math.min(maxDelayMs, baseDelayMs * 2 ** (over - 1));
+    await store.set(storeKey(key), state, Math.max(resetAfterMs, state.lockedUntil - now));
+  }
+
+  function attempt(key) {
+    return serialized(key, async () => {
+      const lock = await check(key);
+      if (!lock.locked) await addFailure(key);
+      return lock;
+    });
+  }
+
+  function fail(key) {
+    return serialized(key, async () => {
+      await addFailure(key);
+      return check(key);
+    });
+  }
+
+  function reset(key) {
+    return serialized(key, () => store.delete(storeKey(key)));
+  }
+
+  return { check, attempt, fail, reset };
+}
+
+module.exports = { createMemoryStore, createTokenBucket, createFailureLockout };
@@ -0,0 +1,176 @@
+// lib/search-index.js
+//
+// In-memory inverted index for /api/search.
+// - tokenize() splits Thai (no spaces between words) with Intl.Segmenter's dictionary-based
+//   word breaker and Latin text on word boundaries; tokens are NFC + lowercased.
+// - Documents have weighted fields; a document's score is the sum over query terms of
+//   (weighted term frequency * idf), normalized by document length. Every query term must
+//   match; the last one also matches as a prefix, so partial words typed in the box work.
+// - Nothing is persisted: the owner rebuilds it at startup and keeps it current on writes.
+
+const segmenter = (typeof Intl !== 'undefined' && Intl.Segmenter)
+  ? new Intl.Segmenter('th', { granularity: 'word' })
+  : null;
+
+const MAX_TOKEN_LENGTH = 40;
+
+/* Words of `text`, normalized; punctuation and whitespace dropped */
+function tokenize(text) {
+  if (!text) return [];
+  const s = String(text).normalize('NFC').toLowerCase();
+  const out = [];
+  if (segmenter) {
+    for (const seg of segmenter.segment(s)) {
+      if (seg.isWordLike && seg.segment.length <= MAX_TOKEN_LENGTH) out.push(seg.segment);
+    }
+  } else {
+    for (const m of s.matchAll(/[\p{L}\p{N}\p{M}]+/gu)) {
+      if (m[0].length <= MAX_TOKEN_LENGTH) out.push(m[0]);
+    }
+  }
+  return out;
+}
+
+/**
+ * Excerpt of `text` around the first match of any of `terms`.
+ * Returns { snippet, highlights: [{ start, end }] } with offsets into snippet.
+ */
+function makeSnippet(text, terms, radius = 80) {
+  const src = String(text || '');
+  const lower = src.normalize('NFC').toLowerCase();
+  // lowercasing can change the length of a few characters; only use offsets when it didn't
+  const source = lower.length === src.length ? src : lower;
+  let first = -1;
+  for (const t of terms) {
+    const i = lower.indexOf(t);
+    if (i !== -1 && (first === -1 || i < first)) first = i;
+  }
+  let from = 0;
+  let to = Math.min(source.length, radius * 2);
+  if (first > radius) {
+    from = first - radius;
+    to = Math.min(source.length, first + radius);
+  }
+  const prefix = from > 0 ? '…' : '';
+  const suffix = to < source.length ? '…' : '';
+  const snippet = prefix + source.slice(from, to) + suffix;
+
+  const windowLower = lower.slice(from, to);
+  const ranges = [];
+  for (const t of terms) {
+    if (!t) continue;
+    let i = windowLower.indexOf(t);
+    while (i !== -1) {
+      ranges.push({ start: prefix.length + i, end: prefix.length + i + t.length });
+      i = windowLower.indexOf(t, i + t.length);
+    }
+  }
+  ranges.sort((a, b) => a.start - b.start || b.end - a.end);
+  const highlights = [];
+  for (const r of ranges) {
+    const last = highlights[highlights.length - 1];
+    if (last && r.start <= last.end) last.end = Math.max(last.end, r.end);
+    else highlights.push({ ...r });
+  }
+  return { snippet, highlights };
+}
+
+/**
+ * createSearchIndex() -> { add, remove, removeWhere, search, size }
+ *
+ * add(key, { type, fields: [{ text, weight }], data }) replaces any document with that key;
+ * `data` is returned with each hit. search(query, { type, limit, offset }) returns
+ * { total, hits: [{ key, type, score, data }], terms }.
+ */
+function createSearchIndex() {
+  const docs = new Map();      // key -> { type, data, terms: Map(term -> weighted tf), length }
+  const postings = new Map();  // term -> Set of keys
+
+  function remove(key) {
+    const doc = docs.get(key);
+    if (!doc) return;
+    for (const term of doc.terms.keys()) {
+      const set = postings.get(term);
+      if (!set) continue;
+      set.delete(key);
+      if (set.size === 0) postings.delete(term);
+    }
+    docs.delete(key);
+  }
+
+  function add(key, doc) {
+    remove(key);
+    const terms = new Map();
+    let length = 0;
+    for (const field of doc.fields || []) {
+      const weight = field.weight || 1;
+      for (const tok of tokenize(field.text)) {
+        terms.set(tok, (terms.get(tok) || 0) + weight);
+        length++;
+      }
+    }
+    if (!terms.size) return;
+    docs.set(key, { type: doc.type, data: doc.data, terms, length });
+    for (const term of terms.keys()) {
+      if (!postings.has(term)) postings.set(term, new Set());
+      postings.get(term).add(key);
+    }
+  }
+
+  function removeWhere(predicate) {
+    for (const [key, doc] of Array.from(docs)) {
+      if (predicate(key, doc.data)) remove(key);
+    }
+  }
+
+  // terms of the index matching one query token: exact, plus prefix matches for the last token
+  function expand(token, prefix) {
+    const out = postings.has(token) ? [token] : [];
+    if (prefix) {
+      for (const term of postings.keys()) {
+        if (term !== token && term.startsWith(token)) out.push(term);
+      }
+    }
+    return out;
+  }
+
+  function search(query, opts = {}) {
+    const tokens = Array.from(new Set(tokenize(query)));
+    if (!tokens.length) return { total: 0, hits: [], terms: [] };
+    const n = docs.size || 1;
+    let scores = null;
+    const matchedTerms = new Set();
+    tokens.forEach((token, i) => {
+      const expanded = expand(token, i === tokens.length - 1);
+      const next = new Map();
+      for (const term of expanded) {
+        const keys = postings.get(term);
+        const idf = Math.log(1 + n / keys.size);
+        for (const key of keys) {
+          if (scores && !scores.has(key)) continue;
+          const doc = docs.get(key);
+          if (opts.type && doc.type !== opts.type) continue;
+          const s = (doc.terms.get(term) * idf) / Math.sqrt(doc.length);
+          next.set(key, Math.max(next.get(key) || 0, s));
+        }
+        matchedTerms.add(term);
+      }
+      if (scores) for (const [key, s] of next) next.set(key, s + scores.get(key));
+      scores = next;
+    });
+
+    const ranked = Array.from(scores, ([key, score]) => ({ key, score }))
+      .sort((a, b) => b.score - a.score || (a.key < b.key ? -1 : 1));
+    const offset = Math.max(0, opts.offset || 0);
+    const limit = Math.max(1, opts.limit || 20);
+    const hits = ranked.slice(offset, offset + limit).map(({ key, score }) => {
+      const doc = docs.get(key);
+      return { key, type: doc.type, score, data: doc.data };
+    });
+    return { total: ranked.length, hits, terms: Array.from(matchedTerms) };
+  }
+
+  return { add, remove, removeWhere, search, size: () => docs.size };
+}
+
+module.exports = { tokenize, makeSnippet, createSearchIndex };
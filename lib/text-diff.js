@@ -0,0 +1,97 @@
+// lib/text-diff.js
+//
+// Difference between two versions of a text, for the post revision history:
+//   diffText('แมวสีส้ม', 'แมวสีดำ') -> [{ op: 'equal', text: 'แมวสี' }, { op: 'delete', text: 'ส้ม' },
+//                                       { op: 'insert', text: 'ดำ' }]
+// Joining the equal + delete parts gives the old text back, equal + insert the new one.
+// The texts are compared token by token: whitespace runs, runs of Latin letters / digits
+// (so an English word changes as a whole) and single characters otherwise, since Thai
+// doesn't put spaces between words. The common start and end are cut off first, which
+// keeps the usual small edit cheap; the rest goes through Myers' O((N+M)D) algorithm.
+// When the versions differ in more than MAX_EDIT_DISTANCE tokens the middle is reported as
+// one delete + one insert instead of searching further.
+
+const TOKEN_RE = /\s+|[A-Za-z0-9_]+|[\s\S]/gu;
+const MAX_EDIT_DISTANCE = 2000;
+
+function tokenize(s) {
+  return s.match(TOKEN_RE) || [];
+}
+
+function push(ops, op, text) {
+  if (!text) return;
+  const last = ops[ops.length - 1];
+  if (last && last.op === op) last.text += text;
+  else ops.push({ op, text });
+}
+
+/* Shortest edit script between token lists a and b as ops, or null past MAX_EDIT_DISTANCE */
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, a, b, d, offset);
+    }
+  }
+  return null;
+}
+
+function backtrack(trace, a, b, dEnd, offset) {
+  const steps = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = dEnd; d > 0; d--) {
+    const prev = trace[d];
+    const k = x - y;
+    const down = k === -d || (k !== d && prev[offset + k - 1] < prev[offset + k + 1]);
+    const prevK = down ? k + 1 : k - 1;
+    const prevX = prev[offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) { steps.push(['equal', a[x - 1]]); x--; y--; }
+    if (down) { steps.push(['insert', b[y - 1]]); y--; } else { steps.push(['delete', a[x - 1]]); x--; }
+  }
+  while (x > 0 && y > 0) { steps.push(['equal', a[x - 1]]); x--; y--; }
+  const ops = [];
+  for (let i = steps.length - 1; i >= 0; i--) push(ops, steps[i][0], steps[i][1]);
+  return ops;
+}
+
+/**
+ * diffText(oldText, newText) -> [{ op: 'equal' | 'delete' | 'insert', text }]
+ * Adjacent parts never share an op.
+ */
+function diffText(oldText, newText) {
+  const a = tokenize(String(oldText || ''));
+  const b = tokenize(String(newText || ''));
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const ops = [];
+  push(ops, 'equal', a.slice(0, start).join(''));
+  const middle = myers(a.slice(start, endA), b.slice(start, endB));
+  if (middle) {
+    for (const part of middle) push(ops, part.op, part.text);
+  } else {
+    push(ops, 'delete', a.slice(start, endA).join(''));
+    push(ops, 'insert', b.slice(start, endB).join(''));
+  }
+  push(ops, 'equal', a.slice(endA).join(''));
+  return ops;
+}
+
+module.exports = { diffText };
@@ -0,0 +1,201 @@
+// lib/validate.js
+//
+// Declarative input checks for the /api routes. A schema maps field names to rules built
+// with `v`:
+//   { email: v.email({ label: 'อีเมล' }), title: v.string({ max: 200, optional: true }) }
+// validate(schema, input) returns { value, errors }: value holds the cleaned fields
+// (strings trimmed, numbers / booleans parsed from query and form strings, unknown fields
+// dropped) and errors is a list of { field, code, msg }. Field codes: required,
+// invalid_type, too_short, too_long, too_small, too_large, invalid_format, not_allowed.
+// A missing field is undefined, null or a blank string (unless the rule has allowEmpty);
+// optional fields that are missing get their `default`, if any.
+//
+// validateRequest({ params, query, body }) wraps it as route middleware: any problem is
+// answered with 400 VALIDATION_FAILED (lib/api-errors.js), otherwise req.valid holds the
+// cleaned parts and req.body is replaced by the cleaned body. It goes after multer on
+// multipart routes, since the body only exists once multer has run.
+
+const { sendError } = require('./api-errors');
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function fail(code, msg) {
+  return { code, msg };
+}
+function ok(value) {
+  return { value };
+}
+function charLength(s) {
+  return [...s].length;
+}
+
+function rule(opts, parse) {
+  return { optional: !!opts.optional, allowEmpty: !!opts.allowEmpty, default: opts.default, label: opts.label, parse };
+}
+
+const v = {
+  /* { min, max, pattern, trim (default true), lowercase } */
+  string(opts = {}) {
+    return rule(opts, raw => {
+      if (typeof raw === 'number') raw = String(raw);
+      if (typeof raw !== 'string') return fail('invalid_type', 'ต้องเป็นข้อความ');
+      let s = opts.trim === false ? raw : raw.trim();
+      if (opts.lowercase) s = s.toLowerCase();
+      const len = charLength(s);
+      if (opts.min !== undefined && len < opts.min) return fail('too_short', `ต้องมีอย่างน้อย ${opts.min} ตัวอักษร`);
+      if (opts.max !== undefined && len > opts.max) return fail('too_long', `ต้องไม่เกิน ${opts.max} ตัวอักษร`);
+      if (opts.pattern && !opts.pattern.test(s)) return fail('invalid_format', opts.patternMsg || 'รูปแบบไม่ถูกต้อง');
+      return ok(s);
+    });
+  },
+
+  email(opts = {}) {
+    const base = v.string({ max: 254 });
+    return rule(opts, raw => {
+      const out = base.parse(raw);
+      if (out.code) return out;
+      if (!EMAIL_RE.test(out.value)) return fail('invalid_format', 'รูปแบบอีเมลไม่ถูกต้อง');
+      return out;
+    });
+  },
+
+  /* { int, min, max }; numeric strings are accepted */
+  number(opts = {}) {
+    return rule(opts, raw => {
+      const n = typeof raw === 'string' ? Number(raw.trim()) : raw;
+      if (typeof n !== 'number' || !Number.isFinite(n)) return fail('invalid_type', 'ต้องเป็นตัวเลข');
+      if (opts.int && !Number.isInteger(n)) return fail('invalid_type', 'ต้องเป็นจำนวนเต็ม');
+      if (opts.min !== undefined && n < opts.min) return fail('too_small', `ต้องไม่น้อยกว่า ${opts.min}`);
+      if (opts.max !== undefined && n > opts.max) return fail('too_large', `ต้องไม่เกิน ${opts.max}`);
+      return ok(n);
+    });
+  },
+
+  /* a point in time as an ISO 8601 string with a time zone (what Date#toISOString gives);
+     the value is normalized to UTC, e.g. "2026-01-31T09:30:00.000Z" */
+  date(opts = {}) {
+    return rule(opts, raw => {
+      const s = typeof raw === 'string' ? raw.trim() : '';
+      const t = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(s) ? Date.parse(s) : NaN;
+      if (!Number.isFinite(t)) return fail('invalid_format', 'รูปแบบวันเวลาไม่ถูกต้อง');
+      return ok(new Date(t).toISOString());
+    });
+  },
+
+  /* true / false, or their form spellings "true" "false" "1" "0" "on" */
+  boolean(opts = {}) {
+    return rule(opts, raw => {
+      if (typeof raw === 'boolean') return ok(raw);
+      const s = String(raw).trim().toLowerCase();
+      if (['true', '1', 'on'].includes(s)) return ok(true);
+      if (['false', '0', 'off'].includes(s)) return ok(false);
+      return fail('invalid_type', 'ต้องเป็นจริงหรือเท็จ');
+    });
+  },
+
+  /* one of `values` (an array, or an object whose keys are the allowed values) */
+  enum(values, opts = {}) {
+    const allowed = Array.isArray(values) ? values : Object.keys(values);
+    return rule(opts, raw => {
+      const s = typeof raw === 'string' ? raw.trim() : raw;
+      if (!allowed.includes(s)) return fail('not_allowed', `ต้องเป็นหนึ่งใน ${allowed.join(', ')}`);
+      return ok(s);
+    });
+  },
+
+  /* list of `item`; a single value counts as a one-element list, since repeated form
+     fields arrive as a string when there's only one. { max } caps the length. */
+  array(item, opts = {}) {
+    return rule(opts, raw => {
+      const list = Array.isArray(raw) ? raw : [raw];
+      if (opts.max !== undefined && list.length > opts.max) return fail('too_large', `ต้องมีไม่เกิน ${opts.max} รายการ`);
+      const out = [];
+      for (let i = 0; i < list.length; i++) {
+        const r = item.parse(list[i]);
+        if (r.code) return fail(r.code, `รายการที่ ${i + 1}: ${r.msg}`);
+        out.push(r.value);
+      }
+      return ok(out);
+    });
+  },
+
+  /* plain object checked against a nested schema, same rules as validate(); unknown keys dropped */
+  object(schema, opts = {}) {
+    return rule(opts, raw => {
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return fail('invalid_type', 'ต้องเป็นออบเจ็กต์');
+      const { value, errors } = validate(schema, raw);
+      if (errors.length) return fail(errors[0].code, errors[0].msg);
+      return ok(value);
+    });
+  },
+
+  /* `inner` applied to a JSON string, for structured values sent as a multipart form field */
+  json(inner, opts = {}) {
+    return rule(opts, raw => {
+      if (typeof raw !== 'string') return inner.parse(raw);
+      let parsed;
+      try {
+        parsed = JSON.parse(raw);
+      } catch (e) {
+        return fail('invalid_format', 'รูปแบบข้อมูลไม่ถูกต้อง');
+      }
+      return inner.parse(parsed);
+    });
+  }
+};
+
+function isMissing(raw, r) {
+  if (raw === undefined || raw === null) return true;
+  return typeof raw === 'string' && !r.allowEmpty && raw.trim() === '';
+}
+
+function fieldError(field, label, code, msg) {
+  return { field, code, msg: `${label || field}: ${msg}` };
+}
+
+/**
+ * validate(schema, input) -> { value, errors }
+ */
+function validate(schema, input) {
+  const src = input && typeof input === 'object' ? input : {};
+  const value = {};
+  const errors = [];
+  for (const [field, r] of Object.entries(schema)) {
+    const raw = Object.prototype.hasOwnProperty.call(src, field) ? src[field] : undefined;
+    if (isMissing(raw, r)) {
+      if (!r.optional) errors.push(fieldError(field, r.label, 'required', 'จำเป็นต้องระบุ'));
+      else if (r.default !== undefined) value[field] = r.default;
+      continue;
+    }
+    const out = r.parse(raw);
+    if (out.code) errors.push(fieldError(field, r.label, out.code, out.msg));
+    else value[field] = out.value;
+  }
+  return { value, errors };
+}
+
+/* Middleware checking req.params / req.query / req.body against the given schemas */
+function validateRequest(schemas) {
+  return (req, res, next) => {
+    const valid = {};
+    const errors = [];
+    for (const part of ['params', 'query', 'body']) {
+      if (!schemas[part]) continue;
+      const result = validate(schemas[part], req[part]);
+      valid[part] = result.value;
+      errors.push(...result.errors);
+    }
+    if (errors.length) return sendError(res, 'VALIDATION_FAILED', errors[0].msg, { errors });
+    req.valid = valid;
+    if (schemas.body) req.body = valid.body;
+    next();
+  };
+}
+
+/* 400 for a rule that spans several fields and so can't live in a schema */
+function sendFieldError(res, field, code, msg) {
+  const error = { field, code, msg };
+  return sendError(res, 'VALIDATION_FAILED', msg, { errors: [error] });
+}
+
+module.exports = { v, validate, validateRequest, sendFieldError };
@@ -4,6 +4,7 @@
 // - Render logic separated, mark-read behavior improved
 // - Keeps behavior: click notification -> mark-read -> navigate
 // - Graceful error handling and ARIA updates
+// - Re-renders when main.js reports a live notification or read-state change
 
 (function () {
   const CONTAINER_ID = "accountNotifications";
@@ -164,6 +165,15 @@
   // expose manual refresh
   window.accountNotifications = { refresh: loadAndRender };
 
+  // live updates from the notification stream opened by main.js (batched: a reconnect can replay several)
+  let refreshTimer = null;
+  function scheduleRefresh() {
+    if (refreshTimer) return;
+    refreshTimer = setTimeout(() => { refreshTimer = null; loadAndRender(); }, 300);
+  }
+  window.addEventListener("notificationReceived", scheduleRefresh);
+  window.addEventListener("notificationsUnread", scheduleRefresh);
+
   // auto init
   if (document.readyState === "loading") {
     document.addEventListener("DOMContentLoaded", loadAndRender);
@@ -0,0 +1,58 @@
+// public/js/bookmarks.js
+//
+// "Save" toggle for a post, used by the feed (index.html), the post page and the Saved page.
+// - Shows the current state from the API's `bookmarked` flag
+// - Clicking calls /api/post/:id/save or /unsave and updates from the server's answer
+// - opts.onChange(saved) runs after a successful toggle (the Saved page drops unsaved posts)
+
+(function () {
+  function render(btn, saved) {
+    btn.classList.toggle("active", saved);
+    btn.setAttribute("aria-pressed", saved ? "true" : "false");
+    btn.textContent = saved ? "🔖 บันทึกแล้ว" : "🔖 บันทึก";
+    btn.title = saved ? "นำออกจากรายการที่บันทึกไว้" : "บันทึกโพสต์นี้";
+  }
+
+  /**
+   * opts: { postId, saved, onChange }
+   */
+  function createButton(opts) {
+    let saved = !!opts.saved;
+    let busy = false;
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "bookmark-btn";
+    render(btn, saved);
+
+    btn.addEventListener("click", async function (ev) {
+      ev.preventDefault();
+      ev.stopPropagation();
+      if (busy) return;
+      busy = true;
+      try {
+        const r = await fetch("/api/post/" + encodeURIComponent(opts.postId) + (saved ? "/unsave" : "/save"), { method: "POST" });
+        // signed-out users get a 401 from the API
+        if (r.status === 401) {
+          location.href = "/login";
+          return;
+        }
+        const d = await r.json();
+        if (d && d.success) {
+          saved = !!d.bookmarked;
+          render(btn, saved);
+          if (opts.onChange) opts.onChange(saved);
+        } else {
+          alert((d && d.msg) ? d.msg : "ไม่สามารถบันทึกโพสต์ได้");
+        }
+      } catch (err) {
+        console.warn("bookmark failed", err && err.message);
+      } finally {
+        busy = false;
+      }
+    });
+
+    return btn;
+  }
+
+  window.Bookmarks = { createButton };
+})();
@@ -4,6 +4,37 @@
 // - Gracefully retries header setup if partials aren't available yet.
 // - Keeps dropdown/notification/account behaviors from original implementation.
 
+// -------------------- CSRF --------------------
+// The server wants the 'csrf' cookie echoed in X-CSRF-Token on every POST/PUT/PATCH/DELETE
+// to /api. Wrap fetch once here so page scripts (loaded after main.js) send it without
+// having to know about it.
+(function installCsrfFetch() {
+  if (!window.fetch || window.fetch.csrfWrapped) return;
+  const nativeFetch = window.fetch.bind(window);
+  const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+  function readCookie(name) {
+    const m = document.cookie.match(new RegExp('(?:^|;\\s*)' + name + '=([^;]*)'));
+    return m ? decodeURIComponent(m[1]) : '';
+  }
+
+  const csrfFetch = function (input, init) {
+    init = init || {};
+    const isRequest = typeof Request !== 'undefined' && input instanceof Request;
+    const method = String(init.method || (isRequest ? input.method : 'GET')).toUpperCase();
+    const url = new URL(isRequest ? input.url : String(input), location.href);
+    const token = readCookie('csrf');
+    if (token && !SAFE_METHODS.includes(method) && url.origin === location.origin) {
+      const headers = new Headers(init.headers || (isRequest ? input.headers : undefined));
+      headers.set('X-CSRF-Token', token);
+      init = Object.assign({}, init, { headers });
+    }
+    return nativeFetch(input, init);
+  };
+  csrfFetch.csrfWrapped = true;
+  window.fetch = csrfFetch;
+})();
+
 // -------------------- Utilities --------------------
 async function loadPartial(id, file) {
   try {
@@ -186,6 +217,61 @@ async function fetchNotifications() {
   }
 }
 
+// -------------------- Live notifications (SSE) --------------------
+// One EventSource per page for the active account. The browser reconnects on its own and
+// sends Last-Event-ID, so notifications created while disconnected are replayed.
+// Other scripts listen for the window events 'notificationReceived' / 'notificationsUnread'.
+let notificationSource = null;
+let notificationSourceUser = null;
+
+function connectNotificationStream(username) {
+  if (username === notificationSourceUser && notificationSource) return;
+  if (notificationSource) notificationSource.close();
+  notificationSource = null;
+  notificationSourceUser = username;
+  if (!username || !('EventSource' in window)) return;
+
+  const es = new EventSource('/api/notifications/stream');
+  es.addEventListener('notification', (ev) => {
+    let data = null;
+    try { data = JSON.parse(ev.data); } catch { return; }
+    updateBellBadge(data.unread);
+    window.dispatchEvent(new CustomEvent('notificationReceived', { detail: data }));
+  });
+  es.addEventListener('unread', (ev) => {
+    let data = null;
+    try { data = JSON.parse(ev.data); } catch { return; }
+    updateBellBadge(data.unread);
+    window.dispatchEvent(new CustomEvent('notificationsUnread', { detail: data }));
+  });
+  notificationSource = es;
+}
+
+function updateBellBadge(count) {
+  const bell = document.querySelector('.notify-bell');
+  if (!bell) return;
+  let badge = bell.querySelector('.notify-badge');
+  if (!count || count <= 0) {
+    if (badge) badge.remove();
+    return;
+  }
+  if (!badge) {
+    badge = document.createElement('div');
+    badge.className = 'notify-badge';
+    badge.style.position = 'absolute';
+    badge.style.top = '-6px';
+    badge.style.right = '-6px';
+    badge.style.background = '#ff4d6d';
+    badge.style.color = '#fff';
+    badge.style.fontSize = '11px';
+    badge.style.padding = '2px 6px';
+    badge.style.borderRadius = '999px';
+    badge.style.fontWeight = '700';
+    bell.appendChild(badge);
+  }
+  badge.innerText = count > 99 ? '99+' : count;
+}
+
 // -------------------- Dropdown + Overlay --------------------
 function ensureDropdown() {
   if (dropdownEl && document.body.contains(dropdownEl)) return dropdownEl;
@@ -298,6 +384,39 @@ async function positionDropdownRelativeTo(anchorEl) {
 }
 
 // -------------------- Nav rendering --------------------
+// "Please verify your email" strip under the header for unverified accounts
+function renderVerifyBanner(accData) {
+  let banner = document.getElementById('verifyBanner');
+  if (!accData || accData.activeVerified !== false) {
+    if (banner) banner.remove();
+    return;
+  }
+  if (banner) return;
+  const slot = document.getElementById('headerSlot');
+  if (!slot) return;
+  banner = elFrom(`<div id="verifyBanner" class="verify-banner small">
+    <span>กรุณายืนยันอีเมลของคุณก่อนโพสต์ แสดงความคิดเห็น หรือรายงานเนื้อหา</span>
+    <button type="button" class="btn btn-ghost">ส่งลิงก์ยืนยันอีกครั้ง</button>
+  </div>`);
+  const btn = banner.querySelector('button');
+  btn.addEventListener('click', async () => {
+    btn.disabled = true;
+    try {
+      const r = await fetch('/api/auth/resend-verification', { method: 'POST' });
+      const d = await r.json();
+      if (d && d.success) btn.textContent = 'ส่งแล้ว ตรวจสอบอีเมลของคุณ';
+      else if (r.status === 429) btn.textContent = 'ส่งบ่อยเกินไป ลองใหม่ภายหลัง';
+      else {
+        btn.disabled = false;
+        if (d && d.code === 'ALREADY_VERIFIED') banner.remove();
+      }
+    } catch (e) {
+      btn.disabled = false;
+    }
+  });
+  slot.insertAdjacentElement('afterend', banner);
+}
+
 async function renderNav() {
   const nav = document.getElementById('navBar');
   if (!nav) {
@@ -311,6 +430,7 @@ async function renderNav() {
   const left = elFrom(`<div class="nav-left" style="display:flex;align-items:center;gap:12px;">
     <a href="/" class="small-link">หน้าแรก</a>
     <a href="/post/create" class="small-link">สร้างโพสต์</a>
+    <a href="/search" class="small-link">ค้นหา</a>
   </div>`);
   nav.appendChild(left);
 
@@ -322,6 +442,7 @@ async function renderNav() {
 
   const accData = await fetchAccounts();
   const notifData = await fetchNotifications();
+  renderVerifyBanner(accData);
 
   // Notification bell (simple SVG)
   const bell = document.createElement('div');
@@ -343,25 +464,15 @@ async function renderNav() {
     } else badgeCount = 0;
   } else if (notifData && notifData.unread) badgeCount = notifData.unread;
 
-  if (badgeCount && badgeCount > 0) {
-    const badge = document.createElement('div');
-    badge.className = 'notify-badge';
-    badge.innerText = badgeCount > 99 ? '99+' : badgeCount;
-    badge.style.position = 'absolute';
-    badge.style.top = '-6px';
-    badge.style.right = '-6px';
-    badge.style.background = '#ff4d6d';
-    badge.style.color = '#fff';
-    badge.style.fontSize = '11px';
-    badge.style.padding = '2px 6px';
-    badge.style.borderRadius = '999px';
-    badge.style.fontWeight = '700';
-    bell.appendChild(badge);
-  }
   accountArea.appendChild(bell);
 
   // Account area
   if (accData && accData.accounts && accData.accounts.length > 0) {
+    left.appendChild(elFrom('<a href="/saved" class="small-link">ที่บันทึกไว้</a>'));
+    left.appendChild(elFrom('<a href="/drafts" class="small-link">ฉบับร่าง</a>'));
+    if (accData.activeRole === 'moderator' || accData.activeRole === 'admin') {
+      left.appendChild(elFrom('<a href="/moderation" class="small-link">ตรวจสอบเนื้อหา</a>'));
+    }
     globalAccounts = accData.accounts;
     globalActive = accData.active;
     const activeAcc = globalAccounts.find(a => a.username === globalActive) || globalAccounts[0];
@@ -547,6 +658,8 @@ async function renderNav() {
   }
 
   nav.appendChild(accountArea);
+  updateBellBadge(badgeCount);
+  connectNotificationStream(accData && accData.accounts && accData.accounts.length ? globalActive : null);
 
   // click outside to close dropdown
   document.addEventListener('click', function () {
@@ -0,0 +1,55 @@
+// public/js/mentions.js
+//
+// Renders post / comment text with @mentions linked to /user/:username
+// and #hashtags linked to /tag/:tag.
+// - `mentions` comes from the API: [{ username, start, end }] offsets into the text
+// - `tags` is the post's tag list; only #words whose tag is in it become links
+//   (HASHTAG_RE / normalizeTag mirror the ones in server.js)
+// - Works on a truncated prefix too (index.html): mentions past the cut are skipped
+// - Everything else is escaped; newlines become <br>
+
+(function () {
+  function escapeHtml(s) {
+    return String(s).replace(/[&<>"']/g, m => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[m]));
+  }
+  function formatPlain(s) {
+    return escapeHtml(s).replace(/\r\n|\r|\n/g, "<br>");
+  }
+
+  const HASHTAG_RE = /(^|[^\p{L}\p{N}\p{M}_&#])#([\p{L}\p{N}\p{M}_]+)/gu;
+  function normalizeTag(tag) {
+    return String(tag || "").replace(/^#/, "").normalize("NFC").toLowerCase().trim();
+  }
+  function formatText(s, tags) {
+    if (!tags || !tags.length) return formatPlain(s);
+    let out = "";
+    let pos = 0;
+    for (const m of s.matchAll(HASHTAG_RE)) {
+      const tag = normalizeTag(m[2]);
+      if (!tags.includes(tag)) continue;
+      const start = m.index + m[1].length;
+      out += formatPlain(s.slice(pos, start));
+      out += `<a class="hashtag" href="/tag/${encodeURIComponent(tag)}">${escapeHtml(s.slice(start, start + 1 + m[2].length))}</a>`;
+      pos = start + 1 + m[2].length;
+    }
+    return out + formatPlain(s.slice(pos));
+  }
+
+  function toHtml(text, mentions, tags) {
+    const str = text === null || text === undefined ? "" : String(text);
+    const list = (Array.isArray(mentions) ? mentions : [])
+      .filter(m => m && m.end <= str.length && str.slice(m.start, m.end) === "@" + m.username)
+      .sort((a, b) => a.start - b.start);
+    let out = "";
+    let pos = 0;
+    for (const m of list) {
+      if (m.start < pos) continue;
+      out += formatText(str.slice(pos, m.start), tags);
+      out += `<a class="mention" href="/user/${encodeURIComponent(m.username)}">${escapeHtml(str.slice(m.start, m.end))}</a>`;
+      pos = m.end;
+    }
+    return out + formatText(str.slice(pos), tags);
+  }
+
+  window.Mentions = { toHtml };
+})();
@@ -0,0 +1,103 @@
+// public/js/post-images.js
+//
+// Post images for the feed (index.html), the post page and the edit preview, built from the
+// API's `media` list ([{ src, alt, caption, width, height, variants }], see presentPost in
+// server.js).
+// - Each image is a <picture>: a WebP <source> and a JPEG <img>, both with a srcset of
+//   the stored sizes, so the browser downloads the smallest one that fits
+// - width / height are set when known so the page doesn't jump while images load
+// - alt is the author's description; without one screen readers still hear which image of
+//   the post it is. A caption wraps the image in a <figure>
+// - Posts without `media` (older API answers) fall back to post.images / post.image
+
+(function () {
+  // how wide an image is drawn; keep in line with .post-img / .post-gallery in style.css
+  var SIZES_SINGLE = "(max-width: 800px) 98vw, 760px";
+  var SIZES_GALLERY = "(max-width: 800px) 80vw, 420px";
+
+  function srcset(variants, format) {
+    return variants
+      .filter(function (v) { return v[format]; })
+      .map(function (v) { return v[format] + " " + v.width + "w"; })
+      .join(", ");
+  }
+
+  function mediaOf(post) {
+    if (Array.isArray(post.media)) return post.media;
+    var imgs = Array.isArray(post.images) ? post.images : (post.image ? [post.image] : []);
+    return imgs.map(function (img) {
+      return typeof img === "string"
+        ? { src: img, variants: [] }
+        : { src: img.url, alt: img.alt, caption: img.caption, variants: [] };
+    });
+  }
+
+  function fallbackAlt(index, total) {
+    return total > 1 ? "รูปภาพที่ " + (index + 1) + " จาก " + total + " ในโพสต์" : "รูปภาพในโพสต์";
+  }
+
+  /* a caption puts the image in a <figure> */
+  function withCaption(el, caption) {
+    if (!caption) return el;
+    var figure = document.createElement("figure");
+    figure.className = "post-figure";
+    var figcaption = document.createElement("figcaption");
+    figcaption.className = "post-caption";
+    figcaption.textContent = caption;
+    figure.appendChild(el);
+    figure.appendChild(figcaption);
+    return figure;
+  }
+
+  /*
+   * one image as an element: <picture> when there are renditions, a plain <img> otherwise.
+   * index / total (position in the post) only serve the fallback alt text.
+   */
+  function createImage(item, sizes, index, total) {
+    var img = document.createElement("img");
+    img.className = "post-img";
+    img.src = item.src;
+    img.alt = item.alt || fallbackAlt(index || 0, total || 1);
+    img.loading = "lazy";
+    img.decoding = "async";
+    if (item.width && item.height) {
+      img.width = item.width;
+      img.height = item.height;
+    }
+    var variants = Array.isArray(item.variants) ? item.variants : [];
+    if (!variants.length) return withCaption(img, item.caption);
+
+    img.srcset = srcset(variants, "jpeg");
+    img.sizes = sizes;
+    var picture = document.createElement("picture");
+    picture.className = "post-picture";
+    var webp = srcset(variants, "webp");
+    if (webp) {
+      var source = document.createElement("source");
+      source.type = "image/webp";
+      source.srcset = webp;
+      source.sizes = sizes;
+      picture.appendChild(source);
+    }
+    picture.appendChild(img);
+    return withCaption(picture, item.caption);
+  }
+
+  /* all images of a post ({ media } or { images }): one image on its own, several in a
+     .post-gallery; null if none */
+  function render(post) {
+    var media = mediaOf(post);
+    if (!media.length) return null;
+    if (media.length === 1) return createImage(media[0], SIZES_SINGLE, 0, 1);
+    var gallery = document.createElement("div");
+    gallery.className = "post-gallery";
+    gallery.setAttribute("role", "group");
+    gallery.setAttribute("aria-label", "รูปภาพ " + media.length + " รูป");
+    media.forEach(function (item, i) {
+      gallery.appendChild(createImage(item, SIZES_GALLERY, i, media.length));
+    });
+    return gallery;
+  }
+
+  window.PostImages = { render: render, createImage: createImage };
+})();
@@ -0,0 +1,83 @@
+// public/js/reactions.js
+//
+// Reaction bar shared by the feed (index.html) and the post page (post.html).
+// - One button per reaction type with its count; the viewer's own reaction is highlighted
+// - Clicking toggles via the given endpoint and re-renders from the server's answer
+// - Keep TYPES in sync with REACTIONS in server.js
+
+(function () {
+  const TYPES = [
+    ["like", "👍", "ถูกใจ"],
+    ["love", "❤️", "รักเลย"],
+    ["haha", "😂", "ฮ่าฮ่า"],
+    ["wow", "😮", "ว้าว"],
+    ["sad", "😢", "เศร้า"],
+    ["angry", "😡", "โกรธ"]
+  ];
+
+  function render(bar, state) {
+    bar.innerHTML = "";
+    for (const [type, emoji, label] of TYPES) {
+      const count = (state.counts && state.counts[type]) || 0;
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "reaction-btn" + (state.mine === type ? " active" : "");
+      btn.dataset.type = type;
+      btn.title = label;
+      btn.setAttribute("aria-label", `${label} (${count})`);
+      btn.setAttribute("aria-pressed", state.mine === type ? "true" : "false");
+      btn.innerHTML = `<span aria-hidden="true">${emoji}</span>` + (count > 0 ? `<span class="reaction-count">${count}</span>` : "");
+      bar.appendChild(btn);
+    }
+  }
+
+  /**
+   * opts: { url, counts, mine }
+   * url is the toggle endpoint (POST { type }), e.g. /api/post/:id/react
+   */
+  function createBar(opts) {
+    const state = { counts: opts.counts || {}, mine: opts.mine || null, busy: false };
+    const bar = document.createElement("div");
+    bar.className = "reaction-bar";
+    bar.setAttribute("role", "group");
+    bar.setAttribute("aria-label", "แสดงความรู้สึก");
+    render(bar, state);
+
+    bar.addEventListener("click", async function (ev) {
+      const btn = ev.target.closest(".reaction-btn");
+      if (!btn) return;
+      ev.preventDefault();
+      ev.stopPropagation();
+      if (state.busy) return;
+      state.busy = true;
+      try {
+        const r = await fetch(opts.url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ type: btn.dataset.type })
+        });
+        // signed-out users get a 401 from the API
+        if (r.status === 401) {
+          location.href = "/login";
+          return;
+        }
+        const d = await r.json();
+        if (d && d.success) {
+          state.counts = d.reactionCounts || {};
+          state.mine = d.myReaction || null;
+          render(bar, state);
+        } else {
+          alert((d && d.msg) ? d.msg : "ไม่สามารถแสดงความรู้สึกได้");
+        }
+      } catch (err) {
+        console.warn("reaction failed", err && err.message);
+      } finally {
+        state.busy = false;
+      }
+    });
+
+    return bar;
+  }
+
+  window.Reactions = { TYPES, createBar };
+})();
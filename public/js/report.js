@@ -0,0 +1,135 @@
+// public/js/report.js
+//
+// "Report" dialog for posts, comments and users (feed kebab, post page, user profile).
+// - Builds the modal on first use with the reasons the server accepts
+// - Sends { targetType, targetId, postId, reason, details } to /api/report
+// - "อื่นๆ" needs a description; the server says so too
+
+(function () {
+  const REASONS = [
+    ["spam", "สแปม"],
+    ["harassment", "การกลั่นแกล้งหรือคุกคาม"],
+    ["hate", "ความเกลียดชัง"],
+    ["nsfw", "เนื้อหาไม่เหมาะสม"],
+    ["misinformation", "ข้อมูลเท็จ"],
+    ["other", "อื่นๆ"]
+  ];
+  const TITLES = { post: "รายงานโพสต์", comment: "รายงานคอมเมนต์", user: "รายงานผู้ใช้" };
+  const ERRORS = {
+    "Already reported": "คุณรายงานรายการนี้ไปแล้ว กำลังรอการตรวจสอบ",
+    "Cannot report yourself": "ไม่สามารถรายงานเนื้อหาของตัวเองได้",
+    "Details required": "กรุณาอธิบายเหตุผลเพิ่มเติม",
+    "Not found": "ไม่พบเนื้อหานี้แล้ว"
+  };
+
+  let modal = null;
+  let current = null;
+
+  function build() {
+    modal = document.createElement("div");
+    modal.className = "modal-fullscreen-bg hidden";
+    modal.setAttribute("aria-hidden", "true");
+    modal.innerHTML =
+      '<div class="modal-fullscreen-content report-dialog" role="dialog" aria-modal="true" aria-labelledby="reportTitle">' +
+        '<h3 id="reportTitle"></h3>' +
+        '<form class="col">' +
+          '<label class="small" for="reportReason">เหตุผล</label>' +
+          '<select id="reportReason" required></select>' +
+          '<label class="small" for="reportDetails">รายละเอียดเพิ่มเติม</label>' +
+          '<textarea id="reportDetails" rows="3" maxlength="1000" placeholder="ไม่บังคับ"></textarea>' +
+          '<div class="report-msg small" aria-live="polite"></div>' +
+          '<div class="row mt-16" style="justify-content:flex-end;">' +
+            '<button type="button" class="btn btn-ghost" data-act="cancel">ยกเลิก</button>' +
+            '<button type="submit" class="btn btn-primary">ส่งรายงาน</button>' +
+          '</div>' +
+        '</form>' +
+      '</div>';
+    const select = modal.querySelector("#reportReason");
+    REASONS.forEach(function (r) {
+      const opt = document.createElement("option");
+      opt.value = r[0];
+      opt.textContent = r[1];
+      select.appendChild(opt);
+    });
+    select.addEventListener("change", function () {
+      modal.querySelector("#reportDetails").placeholder = select.value === "other" ? "จำเป็นสำหรับเหตุผลนี้" : "ไม่บังคับ";
+    });
+    modal.addEventListener("click", function (ev) {
+      if (ev.target === modal || (ev.target.dataset && ev.target.dataset.act === "cancel")) close();
+    });
+    document.addEventListener("keydown", function (ev) {
+      if (ev.key === "Escape" && current) close();
+    });
+    modal.querySelector("form").addEventListener("submit", submit);
+    document.body.appendChild(modal);
+  }
+
+  function setMsg(text, ok) {
+    const el = modal.querySelector(".report-msg");
+    el.textContent = text || "";
+    el.classList.toggle("ok", !!ok);
+  }
+
+  async function submit(ev) {
+    ev.preventDefault();
+    if (!current) return;
+    const btn = modal.querySelector("button[type=submit]");
+    const body = {
+      targetType: current.targetType,
+      targetId: current.targetId,
+      postId: current.postId || undefined,
+      reason: modal.querySelector("#reportReason").value,
+      details: modal.querySelector("#reportDetails").value.trim()
+    };
+    btn.disabled = true;
+    try {
+      const r = await fetch("/api/report", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+      });
+      // signed-out users get a 401 from the API
+      if (r.status === 401) {
+        location.href = "/login";
+        return;
+      }
+      const d = await r.json();
+      if (d && d.success) {
+        setMsg("ขอบคุณ เราได้รับรายงานของคุณแล้ว", true);
+        setTimeout(close, 1200);
+      } else {
+        setMsg(ERRORS[d && d.msg] || (d && d.msg) || "ไม่สามารถส่งรายงานได้");
+      }
+    } catch (err) {
+      setMsg("เกิดข้อผิดพลาดในการเชื่อมต่อ");
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  /**
+   * opts: { targetType: 'post'|'comment'|'user', targetId, postId (comments only) }
+   * targetId is the username for user reports.
+   */
+  function open(opts) {
+    if (!modal) build();
+    current = opts;
+    modal.querySelector("#reportTitle").textContent = TITLES[opts.targetType] || "รายงาน";
+    modal.querySelector("#reportReason").value = REASONS[0][0];
+    modal.querySelector("#reportDetails").value = "";
+    modal.querySelector("#reportDetails").placeholder = "ไม่บังคับ";
+    setMsg("");
+    modal.classList.remove("hidden");
+    modal.setAttribute("aria-hidden", "false");
+    modal.querySelector("#reportReason").focus();
+  }
+
+  function close() {
+    current = null;
+    if (!modal) return;
+    modal.classList.add("hidden");
+    modal.setAttribute("aria-hidden", "true");
+  }
+
+  window.Report = { open };
+})();
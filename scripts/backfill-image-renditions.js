@@ -0,0 +1,70 @@
+// scripts/backfill-image-renditions.js
+//
+// Make the resized WebP/JPEG renditions (lib/image-renditions.js) for post images that
+// were uploaded before the server made them, and record the manifests in post.json.
+//   npm run backfill:images            only images without a manifest
+//   npm run backfill:images -- --force redo every image
+// Reads the same settings as the server (lib/config.js). Run it with the server stopped:
+// it writes post.json directly, and a running server could overwrite it with an edit.
+// The stored full size image is re-encoded as well, which strips the metadata (EXIF, GPS)
+// older uploads were saved with; images that can't be decoded are reported and skipped,
+// the post keeps showing them without renditions.
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+const { readJson, updateJson } = require('../lib/json-store');
+const { writeRenditions, DEFAULT_SIZES } = require('../lib/image-renditions');
+
+const force = process.argv.includes('--force');
+
+async function main() {
+  const config = loadConfig();
+  const postsDir = path.join(config.dataDir, 'posts');
+  const sizes = { ...DEFAULT_SIZES, full: config.imageMaxDimension };
+  const counts = { posts: 0, done: 0, skipped: 0, failed: 0 };
+
+  const postIds = fs.existsSync(postsDir) ? fs.readdirSync(postsDir) : [];
+  for (const postId of postIds) {
+    const postPath = path.join(postsDir, postId, 'post.json');
+    const post = readJson(postPath);
+    if (!post) continue;
+    // images are { url, alt, caption }; older posts stored bare URLs, or only `image`
+    const list = Array.isArray(post.images) ? post.images : (post.image ? [post.image] : []);
+    const urls = list.filter(Boolean).map(img => (typeof img === 'string' ? img : img.url));
+    const made = {};
+    for (const url of urls) {
+      if (!force && post.renditions && post.renditions[url]) { counts.skipped++; continue; }
+      const urlPrefix = url.slice(0, url.lastIndexOf('/'));
+      const fileName = url.slice(url.lastIndexOf('/') + 1);
+      const dir = path.join(postsDir, postId, 'images');
+      if (urlPrefix !== `/data/posts/${postId}/images` || !fs.existsSync(path.join(dir, fileName))) {
+        console.warn(`${postId}: ${url} not found, skipped`);
+        counts.failed++;
+        continue;
+      }
+      try {
+        // read into memory first: sharp can't write over the file it reads from
+        const buffer = fs.readFileSync(path.join(dir, fileName));
+        made[url] = await writeRenditions(buffer, { dir, fileName, urlPrefix, sizes });
+        counts.done++;
+      } catch (e) {
+        console.warn(`${postId}: ${url}: ${e.message}`);
+        counts.failed++;
+      }
+    }
+    if (Object.keys(made).length) {
+      await updateJson(postPath, null, p => {
+        if (p) p.renditions = { ...(p.renditions || {}), ...made };
+      });
+      counts.posts++;
+    }
+  }
+  console.log(`renditions made for ${counts.done} image(s) in ${counts.posts} post(s); ${counts.skipped} already had them, ${counts.failed} failed`);
+  if (counts.failed) process.exitCode = 1;
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});
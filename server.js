@@ -1,8 +1,7 @@
 // server.js (updated: deduplicate uploaded post files to avoid double-save when client
 // sends the same file in multiple multipart fields)
 //
-// Requires: npm install express body-parser cookie-parser multer jimp jsonwebtoken uuid
-// Optional: exif-parser to honor orientation
+// Requires: npm install express body-parser cookie-parser multer sharp jsonwebtoken uuid
 //
 // Note: This is the full server.js used by the project with one change:
 // - saveUploadedPostFiles now deduplicates incoming multer file objects by an MD5
@@ -14,35 +13,127 @@ const cookieParser = require('cookie-parser');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
-const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
-const Jimp = require('jimp');
+const sharp = require('sharp');
 const crypto = require('crypto');
+const { readJson, writeJson, updateJson } = require('./lib/json-store');
+const { makeSnippet, createSearchIndex } = require('./lib/search-index');
+const { createMemoryStore, createTokenBucket, createFailureLockout } = require('./lib/rate-limit');
+const { createMailer, createOutboxTransport, createConsoleTransport } = require('./lib/mailer');
+const { loadConfig } = require('./lib/config');
+const { createKeyring } = require('./lib/keyring');
+const { sendError } = require('./lib/api-errors');
+const { v, validateRequest, sendFieldError } = require('./lib/validate');
+const { writeRenditions, renditionUrls, DEFAULT_SIZES: DEFAULT_IMAGE_SIZES } = require('./lib/image-renditions');
+const { inspectImage } = require('./lib/image-upload');
+const { diffText } = require('./lib/text-diff');
+
+let config;
+try {
+  config = loadConfig();
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
 
 const app = express();
-const PORT = process.env.PORT || 3000;
-const SECRET = "community_super_secret_2025";
-const SESSION_DAYS = 30;
+const PORT = config.port;
+const SESSION_DAYS = config.sessionDays;
 const SESSION_MAX_AGE = SESSION_DAYS * 24 * 60 * 60 * 1000;
+// SameSite=Lax: the browser leaves these cookies off cross-site POSTs, fetches and frames
+// (top-level links still carry them, so following a link into the site stays logged in)
+const SESSION_COOKIE_OPTIONS = { httpOnly: true, sameSite: 'lax', maxAge: SESSION_MAX_AGE };
+// session JWTs ('token' and 'accounts' cookies); see lib/keyring.js for rotation
+const sessionKeys = createKeyring(config.jwtKeys, config.jwtActiveKid);
 
-const DATA_DIR = path.join(__dirname, 'data');
+const DATA_DIR = config.dataDir;
 const USERS_DIR = path.join(DATA_DIR, 'users');
 const POSTS_DIR = path.join(DATA_DIR, 'posts');
+const MODERATION_DIR = path.join(DATA_DIR, 'moderation');
 
-[DATA_DIR, USERS_DIR, POSTS_DIR].forEach(d => {
+[DATA_DIR, USERS_DIR, POSTS_DIR, MODERATION_DIR].forEach(d => {
   if (!fs.existsSync(d)) fs.mkdirSync(d, { recursive: true });
 });
 
 app.use(express.static('public'));
-// serve data (user/post images) so frontend can request /data/...
-app.use('/data', express.static(path.join(__dirname, 'data')));
+// /data serves uploaded images only: post images (with their renditions) and profile
+// pictures. Everything else in DATA_DIR (profiles with password hashes, sessions, posts,
+// moderation data) stays private and only goes out through the API, which checks who asks.
+// The pattern allows no dots or escapes in the directory names, so no path leaves those folders.
+// nosniff: browsers go by the Content-Type from the file extension and never guess
+// Images of a draft, a scheduled post or one a moderator has hidden only go to those who
+// may see the post (canSeePost).
+const PUBLIC_DATA_PATH = /^\/(?:posts\/([\w-]+)\/images|users\/[\w-]+\/profile_pic)\/[\w-][\w.-]*\.(?:jpe?g|png|gif|webp)$/;
+const serveDataFile = express.static(DATA_DIR, { setHeaders: res => res.setHeader('X-Content-Type-Options', 'nosniff') });
 
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(bodyParser.json());
 app.use(cookieParser());
 
-// multer in-memory storage so we can process images with jimp before writing
-const uploadMemory = multer({ storage: multer.memoryStorage() });
+app.use('/data', (req, res, next) => {
+  const match = PUBLIC_DATA_PATH.exec(req.path);
+  if (!match) return next();
+  const postId = match[1];
+  if (postId) {
+    const post = readJson(getPostPath(postId));
+    const viewer = getOptionalUser(req);
+    if (post && !canSeePost(post, viewer && viewer.id)) return next();
+  }
+  serveDataFile(req, res, next);
+});
+
+// Image uploads: multer keeps the files in memory (size and count capped while they
+// arrive), then checkUploadedImages turns the request down unless every file really is an
+// image within config.maxImagePixels (lib/image-upload.js). Handlers only ever store
+// re-encoded copies made with sharp, so nothing reaches /data as uploaded.
+// maxFiles caps all fields together (default: the sum of their maxCount).
+function imageUpload(fields, { maxFiles = fields.reduce((n, f) => n + f.maxCount, 0) } = {}) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.maxUploadBytes, files: maxFiles }
+  }).fields(fields);
+  return [upload, checkUploadedImages];
+}
+async function checkUploadedImages(req, res, next) {
+  for (const [field, files] of Object.entries(req.files || {})) {
+    for (const f of files) {
+      const result = await inspectImage(f.buffer, { maxPixels: config.maxImagePixels });
+      if (result.code) return sendFieldError(res, field, result.code, f.originalname ? `${f.originalname}: ${result.msg}` : result.msg);
+    }
+  }
+  next();
+}
+const UPLOAD_IMAGE_FIELDS = ['postImage', 'postImages[]'];
+// the two field names are one list: maxPostImages counts the files of both
+const uploadPostImages = imageUpload(UPLOAD_IMAGE_FIELDS.map(name => ({ name, maxCount: config.maxPostImages })), { maxFiles: config.maxPostImages });
+const uploadProfilePic = imageUpload([{ name: 'profilePic', maxCount: 1 }, { name: 'original', maxCount: 1 }]);
+
+/* ------------------------
+   Input rules
+   ------------------------ */
+// Field rules shared by the validateRequest() schemas of the /api routes (lib/validate.js).
+// New usernames have to be something a mention can match (see MENTION_RE); existing
+// accounts are only checked for length where a username comes in as a lookup key.
+const USERNAME_RE = /^[\p{L}\p{N}\p{M}_.-]+$/u;
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 200;
+const DISPLAY_NAME_MAX_LENGTH = 50;
+const POST_TITLE_MAX_LENGTH = 200;
+const POST_CONTENT_MAX_LENGTH = 10000;
+const COMMENT_MAX_LENGTH = 2000;
+const IMAGE_ALT_MAX_LENGTH = 500;
+const IMAGE_CAPTION_MAX_LENGTH = 300;
+const ID_MAX_LENGTH = 100;
+
+const NEW_USERNAME_RULE = v.string({ label: 'ชื่อผู้ใช้', min: 3, max: 30, pattern: USERNAME_RE, patternMsg: 'ใช้ได้เฉพาะตัวอักษร ตัวเลข และ _ . -' });
+const USERNAME_RULE = v.string({ label: 'ชื่อผู้ใช้', max: ID_MAX_LENGTH });
+const NEW_PASSWORD_RULE = v.string({ label: 'รหัสผ่าน', min: PASSWORD_MIN_LENGTH, max: PASSWORD_MAX_LENGTH, trim: false });
+// any length an account might already have, just bounded
+const PASSWORD_RULE = v.string({ label: 'รหัสผ่าน', max: 1000, trim: false });
+const ID_RULE = v.string({ label: 'รหัสอ้างอิง', max: ID_MAX_LENGTH });
+const USERNAME_PARAMS = { username: USERNAME_RULE };
+const ID_PARAMS = { id: ID_RULE };
+const COMMENT_PARAMS = { postId: ID_RULE, commentId: ID_RULE };
 
 /* ------------------------
    Helpers
@@ -51,6 +142,11 @@ function getUserDir(userId) { return path.join(USERS_DIR, userId); }
 function getUserProfilePath(userId) { return path.join(getUserDir(userId), 'profile.json'); }
 function getFollowersPath(userId) { return path.join(getUserDir(userId), 'followers.json'); }
 function getFollowingPath(userId) { return path.join(getUserDir(userId), 'following.json'); }
+function getBookmarksPath(userId) { return path.join(getUserDir(userId), 'bookmarks.json'); }
+function getDraftsPath(userId) { return path.join(getUserDir(userId), 'drafts.json'); }
+function getBlocksPath(userId) { return path.join(getUserDir(userId), 'blocks.json'); }
+function getMutesPath(userId) { return path.join(getUserDir(userId), 'mutes.json'); }
+function getSessionsPath(userId) { return path.join(getUserDir(userId), 'sessions.json'); }
 function getUserProfilePicDir(userId) {
   const dir = path.join(getUserDir(userId), 'profile_pic');
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
@@ -74,140 +170,352 @@ function removeAllProfilePics(userId) {
 function getPostDir(postId) { return path.join(POSTS_DIR, postId); }
 function getPostPath(postId) { return path.join(getPostDir(postId), 'post.json'); }
 function getPostCommentsPath(postId) { return path.join(getPostDir(postId), 'comments.json'); }
+function getPostRevisionsPath(postId) { return path.join(getPostDir(postId), 'revisions.json'); }
 function getPostImagesDir(postId) {
   const dir = path.join(getPostDir(postId), 'images');
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
   return dir;
 }
-
-/* Small FS helper */
-function ensureJsonFile(p, initial = '[]') {
-  if (!fs.existsSync(p)) fs.writeFileSync(p, initial, 'utf8');
-  return p;
+/* File behind a /data/... URL, or null if the URL points outside DATA_DIR */
+function dataUrlToPath(url) {
+  if (typeof url !== 'string' || !url.startsWith('/data/')) return null;
+  const local = path.join(DATA_DIR, url.slice('/data/'.length));
+  return local.startsWith(DATA_DIR + path.sep) ? local : null;
 }
 
-/* Optional EXIF orientation support */
-let ExifParser = null;
-try {
-  ExifParser = require('exif-parser');
-} catch (e) {
-  ExifParser = null;
-}
-async function applyExifOrientationIfNeeded(buffer, jimpImage) {
-  if (!ExifParser) return jimpImage;
+/* Small FS helper: read a JSON array store, treating a missing or unreadable file as empty */
+function readJsonArray(p) {
   try {
-    const parser = ExifParser.create(buffer);
-    const result = parser.parse();
-    const ori = result.tags && result.tags.Orientation;
-    if (ori === 3) jimpImage.rotate(180);
-    else if (ori === 6) jimpImage.rotate(90);
-    else if (ori === 8) jimpImage.rotate(270);
+    const v = readJson(p, []);
+    return Array.isArray(v) ? v : [];
   } catch (e) {
-    // ignore parse errors
+    console.error('readJsonArray error:', p, e && e.message);
+    return [];
   }
-  return jimpImage;
 }
 
 /* ------------------------
-   Search helpers
+   Password hashing
    ------------------------ */
-function findUserByUsername(usernameRaw) {
-  const username = decodeURIComponent(usernameRaw);
-  if (!fs.existsSync(USERS_DIR)) return null;
-  const userDirs = fs.readdirSync(USERS_DIR);
-  for (let userId of userDirs) {
-    const profilePath = getUserProfilePath(userId);
-    if (!fs.existsSync(profilePath)) continue;
+// Stored format: scrypt$<version>$<salt base64>$<hash base64>
+// The version selects the cost parameters below, so they can be raised later
+// without breaking existing hashes (old versions get re-hashed on next login).
+const PASSWORD_HASH_PARAMS = {
+  1: { N: 16384, r: 8, p: 1, keylen: 64, saltBytes: 16 }
+};
+const PASSWORD_HASH_VERSION = 1;
+
+function scryptAsync(password, salt, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, params.keylen, { N: params.N, r: params.r, p: params.p }, (err, key) => {
+      if (err) reject(err); else resolve(key);
+    });
+  });
+}
+async function hashPassword(password) {
+  const params = PASSWORD_HASH_PARAMS[PASSWORD_HASH_VERSION];
+  const salt = crypto.randomBytes(params.saltBytes);
+  const key = await scryptAsync(String(password), salt, params);
+  return `scrypt$${PASSWORD_HASH_VERSION}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  return crypto.timingSafeEqual(a, b);
+}
+/**
+ * Check a password against a profile record.
+ * Returns { ok, needsRehash } - needsRehash is true for legacy plaintext records
+ * and for hashes made with an older version.
+ */
+async function verifyUserPassword(user, password) {
+  if (!user || typeof password !== 'string') return { ok: false, needsRehash: false };
+  if (typeof user.passwordHash === 'string') {
+    const parts = user.passwordHash.split('$');
+    const params = PASSWORD_HASH_PARAMS[parts[1]];
+    if (parts.length !== 4 || parts[0] !== 'scrypt' || !params) return { ok: false, needsRehash: false };
+    const salt = Buffer.from(parts[2], 'base64');
+    const expected = Buffer.from(parts[3], 'base64');
+    const key = await scryptAsync(password, salt, { ...params, keylen: expected.length });
+    const ok = safeEqual(key, expected);
+    return { ok, needsRehash: ok && Number(parts[1]) !== PASSWORD_HASH_VERSION };
+  }
+  // legacy profile.json with plaintext password
+  if (typeof user.password === 'string') {
+    const ok = safeEqual(Buffer.from(user.password, 'utf8'), Buffer.from(password, 'utf8'));
+    return { ok, needsRehash: ok };
+  }
+  return { ok: false, needsRehash: false };
+}
+async function setUserPassword(userId, password) {
+  const passwordHash = await hashPassword(password);
+  await updateJson(getUserProfilePath(userId), null, profile => {
+    if (!profile) throw new Error('Profile not found');
+    profile.passwordHash = passwordHash;
+    delete profile.password;
+  });
+}
+// Hash of a random password nobody knows, made once at startup. Logins for an unknown
+// email are checked against it, so they cost the same scrypt run as a wrong password and
+// the response time doesn't tell whether the address has an account.
+const dummyPasswordHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/* Verify login credentials (user null = unknown email) and upgrade the stored hash if needed */
+async function checkCredentials(user, password) {
+  if (!user) {
+    await verifyUserPassword({ passwordHash: await dummyPasswordHash }, password);
+    return false;
+  }
+  const { ok, needsRehash } = await verifyUserPassword(user, password);
+  if (ok && needsRehash) {
+    try { await setUserPassword(user.id, password); } catch (e) { console.error('password rehash failed', e && e.message); }
+  }
+  return ok;
+}
+
+/* ------------------------
+   User lookup index
+   ------------------------ */
+// username -> userId and lowercased email -> userId, kept in memory so lookups
+// don't scan every profile.json. Rebuilt from disk at startup and updated by the
+// register / profile routes through indexUser() and unindexUser().
+const usernameIndex = new Map();
+const emailIndex = new Map();
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+function indexUser(profile) {
+  if (!profile || !profile.id) return;
+  if (profile.username) usernameIndex.set(profile.username, profile.id);
+  if (profile.email) emailIndex.set(normalizeEmail(profile.email), profile.id);
+}
+function unindexUser(profile) {
+  if (!profile) return;
+  if (profile.username && usernameIndex.get(profile.username) === profile.id) usernameIndex.delete(profile.username);
+  const emailKey = normalizeEmail(profile.email);
+  if (emailKey && emailIndex.get(emailKey) === profile.id) emailIndex.delete(emailKey);
+}
+function rebuildUserIndex() {
+  usernameIndex.clear();
+  emailIndex.clear();
+  if (!fs.existsSync(USERS_DIR)) return;
+  for (const userId of fs.readdirSync(USERS_DIR)) {
     try {
-      const u = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
-      if (u.username === username) {
-        const safe = { ...u };
-        delete safe.password;
-        return { ...safe, _userId: userId };
+      const u = readJson(getUserProfilePath(userId));
+      if (!u) continue;
+      if (!u.id) u.id = userId;
+      if (usernameIndex.has(u.username)) {
+        console.warn('rebuildUserIndex: duplicate username, skipping', userId);
+        continue;
       }
-    } catch { /* ignore parse errors */ }
+      // addresses that differ only in case (from before emails were normalized) belong to
+      // the first account read; the other keeps its username but can't be found by email
+      if (u.email && emailIndex.has(normalizeEmail(u.email))) {
+        console.warn('rebuildUserIndex: email already used by', emailIndex.get(normalizeEmail(u.email)) + ', not indexing it for', userId);
+        indexUser({ ...u, email: '' });
+        continue;
+      }
+      indexUser(u);
+    } catch (e) {
+      console.error('rebuildUserIndex: cannot read profile', userId, e && e.message);
+    }
   }
-  return null;
 }
-function findUserByEmail(email) {
-  if (!fs.existsSync(USERS_DIR)) return null;
-  const userDirs = fs.readdirSync(USERS_DIR);
-  for (let userId of userDirs) {
-    const profilePath = getUserProfilePath(userId);
-    if (!fs.existsSync(profilePath)) continue;
+
+/* ------------------------
+   Roles + suspension
+   ------------------------ */
+// profile.role is 'user' (also when missing), 'moderator' or 'admin'. Users named in the
+// adminUsernames setting (ADMIN_USERNAMES, comma-separated) are promoted to admin at startup, which is how
+// the first admin gets set up. profile.suspended = { until (ISO or null = indefinite),
+// reason, by, at }; suspendedUsers mirrors it so auth checks don't read profiles.
+const ROLES = ['user', 'moderator', 'admin'];
+const suspendedUsers = new Map(); // userId -> suspended-until (ms, Infinity = indefinite)
+
+function getUserRole(userId) {
+  try { return (readJson(getUserProfilePath(userId)) || {}).role || 'user'; } catch { return 'user'; }
+}
+function isModerator(userId) {
+  if (!userId) return false;
+  const role = getUserRole(userId);
+  return role === 'moderator' || role === 'admin';
+}
+function trackSuspension(profile) {
+  if (!profile || !profile.id) return;
+  if (profile.suspended) suspendedUsers.set(profile.id, profile.suspended.until ? Date.parse(profile.suspended.until) : Infinity);
+  else suspendedUsers.delete(profile.id);
+}
+function isSuspended(userId) {
+  const until = suspendedUsers.get(userId);
+  if (until === undefined) return false;
+  if (until <= Date.now()) { suspendedUsers.delete(userId); return false; }
+  return true;
+}
+/* Call after rebuildUserIndex() */
+function loadRolesAndSuspensions() {
+  const admins = config.adminUsernames;
+  for (const userId of usernameIndex.values()) {
     try {
-      const u = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
-      if (u.email === email) return u;
-    } catch {}
+      const profile = readJson(getUserProfilePath(userId));
+      if (!profile) continue;
+      if (admins.includes(profile.username) && profile.role !== 'admin') {
+        profile.role = 'admin';
+        writeJson(getUserProfilePath(userId), profile);
+        console.log('promoted to admin:', profile.username);
+      }
+      trackSuspension(profile);
+    } catch (e) { console.error('loadRolesAndSuspensions: cannot read profile', userId, e && e.message); }
   }
-  return null;
+}
+/* After authMiddleware: 403 unless the user has one of `roles` (read fresh, so demotions apply at once) */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(getUserRole(req.user.id))) return sendError(res, 'FORBIDDEN');
+    next();
+  };
+}
+
+/* ------------------------
+   Search helpers
+   ------------------------ */
+function findUserByUsername(usernameRaw) {
+  const username = decodeURIComponent(usernameRaw);
+  const userId = usernameIndex.get(username);
+  if (!userId) return null;
+  try {
+    const u = readJson(getUserProfilePath(userId));
+    if (!u) return null;
+    const safe = { ...u };
+    delete safe.password;
+    delete safe.passwordHash;
+    return { ...safe, _userId: userId };
+  } catch { return null; }
+}
+function findUserByEmail(email) {
+  const userId = emailIndex.get(normalizeEmail(email));
+  if (!userId) return null;
+  try { return readJson(getUserProfilePath(userId)); } catch { return null; }
 }
 
 /* ------------------------
    JSON helpers
    ------------------------ */
 function getFollowersForUser(userId) {
-  const p = getFollowersPath(userId);
-  ensureJsonFile(p);
-  try { return JSON.parse(fs.readFileSync(p, 'utf8')); } catch { return []; }
+  return readJsonArray(getFollowersPath(userId));
 }
 function getFollowingForUser(userId) {
-  const p = getFollowingPath(userId);
-  ensureJsonFile(p);
-  try { return JSON.parse(fs.readFileSync(p, 'utf8')); } catch { return []; }
-}
-function addFollower(targetUserId, followerUserId) {
-  const fPath = ensureJsonFile(getFollowersPath(targetUserId));
-  let followers = JSON.parse(fs.readFileSync(fPath, 'utf8'));
-  if (!followers.includes(followerUserId)) {
-    followers.push(followerUserId);
-    fs.writeFileSync(fPath, JSON.stringify(followers, null, 2), 'utf8');
-  }
-  const folPath = ensureJsonFile(getFollowingPath(followerUserId));
-  let following = JSON.parse(fs.readFileSync(folPath, 'utf8'));
-  if (!following.includes(targetUserId)) {
-    following.push(targetUserId);
-    fs.writeFileSync(folPath, JSON.stringify(following, null, 2), 'utf8');
-  }
-}
-function removeFollower(targetUserId, followerUserId) {
-  const fPath = ensureJsonFile(getFollowersPath(targetUserId));
-  let followers = JSON.parse(fs.readFileSync(fPath, 'utf8'));
-  followers = followers.filter(id => id !== followerUserId);
-  fs.writeFileSync(fPath, JSON.stringify(followers, null, 2), 'utf8');
-
-  const folPath = ensureJsonFile(getFollowingPath(followerUserId));
-  let following = JSON.parse(fs.readFileSync(folPath, 'utf8'));
-  following = following.filter(id => id !== targetUserId);
-  fs.writeFileSync(folPath, JSON.stringify(following, null, 2), 'utf8');
+  return readJsonArray(getFollowingPath(userId));
+}
+async function addFollower(targetUserId, followerUserId) {
+  await updateJson(getFollowersPath(targetUserId), [], followers => {
+    if (!followers.includes(followerUserId)) followers.push(followerUserId);
+  });
+  await updateJson(getFollowingPath(followerUserId), [], following => {
+    if (!following.includes(targetUserId)) following.push(targetUserId);
+  });
+}
+async function removeFollower(targetUserId, followerUserId) {
+  await updateJson(getFollowersPath(targetUserId), [], followers => followers.filter(id => id !== followerUserId));
+  await updateJson(getFollowingPath(followerUserId), [], following => following.filter(id => id !== targetUserId));
 }
 function isFollowing(followerUserId, targetUserId) {
   const following = getFollowingForUser(followerUserId);
   return following.includes(targetUserId);
 }
 
+/* ------------------------
+   Block + mute
+   ------------------------ */
+// data/users/<id>/blocks.json and mutes.json hold user ids. blockedBy (userId -> Set of
+// users who blocked them) is the reverse view, rebuilt at startup.
+// Blocking works both ways: neither user sees the other's posts or comments, and the
+// blocked user can't follow, comment on the blocker's posts or mention them.
+// Muting is one-way and quieter: only the muted user's posts and notifications are hidden.
+const blockedBy = new Map();
+
+function getBlockedIds(userId) { return readJsonArray(getBlocksPath(userId)); }
+function getMutedIds(userId) { return readJsonArray(getMutesPath(userId)); }
+function rebuildBlockIndex() {
+  blockedBy.clear();
+  for (const userId of usernameIndex.values()) {
+    for (const targetId of getBlockedIds(userId)) {
+      if (!blockedBy.has(targetId)) blockedBy.set(targetId, new Set());
+      blockedBy.get(targetId).add(userId);
+    }
+  }
+}
+function hasBlocked(userId, targetId) {
+  const set = blockedBy.get(targetId);
+  return !!(set && set.has(userId));
+}
+function isBlockedEitherWay(a, b) {
+  if (!a || !b || a === b) return false;
+  return hasBlocked(a, b) || hasBlocked(b, a);
+}
+async function blockUser(userId, targetId) {
+  await updateJson(getBlocksPath(userId), [], ids => { if (!ids.includes(targetId)) ids.push(targetId); });
+  if (!blockedBy.has(targetId)) blockedBy.set(targetId, new Set());
+  blockedBy.get(targetId).add(userId);
+  await removeFollower(userId, targetId);
+  await removeFollower(targetId, userId);
+}
+async function unblockUser(userId, targetId) {
+  await updateJson(getBlocksPath(userId), [], ids => ids.filter(id => id !== targetId));
+  const set = blockedBy.get(targetId);
+  if (set) {
+    set.delete(userId);
+    if (set.size === 0) blockedBy.delete(targetId);
+  }
+}
+function setMuted(userId, targetId, muted) {
+  return updateJson(getMutesPath(userId), [], ids => {
+    const rest = ids.filter(id => id !== targetId);
+    return muted ? rest.concat(targetId) : rest;
+  });
+}
+function usernameForId(userId) {
+  try { return (readJson(getUserProfilePath(userId)) || {}).username || null; } catch { return null; }
+}
+/**
+ * Usernames whose content viewerId shouldn't see: blocked either way, plus muted
+ * users when `muted` is set (posts and feeds). Empty for signed-out viewers.
+ */
+function hiddenUsernamesFor(viewerId, { muted = false } = {}) {
+  const names = new Set();
+  if (!viewerId) return names;
+  const ids = new Set([...getBlockedIds(viewerId), ...(blockedBy.get(viewerId) || [])]);
+  if (muted) for (const id of getMutedIds(viewerId)) ids.add(id);
+  for (const id of ids) {
+    const name = usernameForId(id);
+    if (name) names.add(name);
+  }
+  return names;
+}
+
 /* ------------------------
    Notifications
    ------------------------ */
-function ensureUserNotificationsFile(userId) {
-  const p = path.join(getUserDir(userId), 'notifications.json');
-  if (!fs.existsSync(p)) fs.writeFileSync(p, '[]', 'utf8');
-  return p;
+function getUserNotificationsPath(userId) {
+  return path.join(getUserDir(userId), 'notifications.json');
 }
-function addNotificationToUser(userId, type, message, meta = {}) {
+/**
+ * options.dedupeKey: if a notification with the same key already exists it is kept
+ * as-is and no new one is added (used for reactions, so toggling a reaction back and
+ * forth doesn't flood the recipient).
+ */
+async function addNotificationToUser(userId, type, message, meta = {}, options = {}) {
   try {
     const profilePath = getUserProfilePath(userId);
     let recipientUsername = null;
-    if (fs.existsSync(profilePath)) {
-      try { recipientUsername = JSON.parse(fs.readFileSync(profilePath, 'utf8')).username; } catch {}
-    }
+    try { recipientUsername = (readJson(profilePath, {}) || {}).username; } catch {}
     if (meta) {
       if (meta.actorId && String(meta.actorId) === String(userId)) return null;
       if (meta.actorUsername && recipientUsername && String(meta.actorUsername) === String(recipientUsername)) return null;
+      // nothing from users the recipient blocked / muted (or who blocked the recipient)
+      const actorId = meta.actorId || (meta.actorUsername ? usernameIndex.get(meta.actorUsername) : null);
+      if (actorId && (isBlockedEitherWay(userId, actorId) || getMutedIds(userId).includes(actorId))) return null;
     }
 
-    const p = ensureUserNotificationsFile(userId);
-    const arr = JSON.parse(fs.readFileSync(p, 'utf8'));
     const n = {
       id: uuidv4(),
       type,
@@ -216,8 +524,14 @@ function addNotificationToUser(userId, type, message, meta = {}) {
       createdAt: new Date().toISOString(),
       read: false
     };
-    arr.unshift(n);
-    fs.writeFileSync(p, JSON.stringify(arr, null, 2), 'utf8');
+    if (options.dedupeKey) n.dedupeKey = options.dedupeKey;
+    let added = true;
+    const all = await updateJson(getUserNotificationsPath(userId), [], arr => {
+      if (n.dedupeKey && arr.some(x => x.dedupeKey === n.dedupeKey)) { added = false; return; }
+      arr.unshift(n);
+    });
+    if (!added) return null;
+    pushNotificationEvent(userId, 'notification', { notification: n, unread: all.filter(x => !x.read).length }, n.id);
     return n;
   } catch (err) {
     console.error('addNotificationToUser error:', err && err.message);
@@ -225,24 +539,142 @@ function addNotificationToUser(userId, type, message, meta = {}) {
   }
 }
 function getNotificationsForUser(userId) {
-  const p = ensureUserNotificationsFile(userId);
-  try { return JSON.parse(fs.readFileSync(p, 'utf8')); } catch { return []; }
+  return readJsonArray(getUserNotificationsPath(userId));
 }
 function markNotificationsRead(userId, ids = []) {
-  const p = ensureUserNotificationsFile(userId);
-  let arr = JSON.parse(fs.readFileSync(p, 'utf8'));
-  let changed = false;
-  if (!Array.isArray(ids) || ids.length === 0) {
-    arr = arr.map(n => ({ ...n, read: true }));
-    changed = true;
-  } else {
-    arr = arr.map(n => {
-      if (ids.includes(n.id) && !n.read) { changed = true; return { ...n, read: true }; }
-      return n;
-    });
+  return updateJson(getUserNotificationsPath(userId), [], arr => {
+    if (!Array.isArray(ids) || ids.length === 0) return arr.map(n => ({ ...n, read: true }));
+    return arr.map(n => (ids.includes(n.id) && !n.read) ? { ...n, read: true } : n);
+  });
+}
+
+/* Notification stream (SSE)
+   Open /api/notifications/stream connections per user id. Events:
+   - notification: { notification, unread }, id = notification id (so Last-Event-ID resumes after it)
+   - unread: { unread } on connect and whenever notifications are marked read
+   Each stream remembers the session it was opened with, so revoking the session ends it. */
+const notificationStreams = new Map(); // userId -> Map of response -> session id
+const NOTIFICATION_HEARTBEAT_MS = 25000;
+
+function writeSseEvent(res, event, data, id) {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+function pushNotificationEvent(userId, event, data, id) {
+  const streams = notificationStreams.get(userId);
+  if (!streams) return;
+  for (const res of streams.keys()) {
+    try { writeSseEvent(res, event, data, id); } catch (e) { console.warn('notification stream write failed', e && e.message); }
+  }
+}
+
+/* ------------------------
+   Session registry
+   ------------------------ */
+// Every login creates a session in data/users/<id>/sessions.json
+// ({ id, createdAt, lastSeenAt, userAgent, ip }) and its id goes into the JWT as `sid`.
+// A token is only accepted while its session is listed, so revoking a session (logout,
+// "log out everywhere", password change) kills the token even though it hasn't expired.
+// sessionIndex mirrors the files for the per-request check; lastSeenAt is kept current in
+// memory and written back at most once per SESSION_TOUCH_INTERVAL_MS.
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+const sessionIndex = new Map(); // sid -> { userId, lastSeenAt (ms), persistedAt (ms) }
+
+function rebuildSessionIndex() {
+  sessionIndex.clear();
+  for (const userId of usernameIndex.values()) {
+    for (const s of readJsonArray(getSessionsPath(userId))) {
+      const seen = Date.parse(s.lastSeenAt) || 0;
+      sessionIndex.set(s.id, { userId, lastSeenAt: seen, persistedAt: seen });
+    }
   }
-  if (changed) fs.writeFileSync(p, JSON.stringify(arr, null, 2), 'utf8');
-  return arr;
+}
+
+function isSessionActive(sid, userId) {
+  const entry = sid && sessionIndex.get(sid);
+  return !!entry && entry.userId === userId && Date.now() - entry.lastSeenAt < SESSION_MAX_AGE;
+}
+
+async function createSession(userId, req) {
+  const now = new Date();
+  const session = {
+    id: uuidv4(),
+    createdAt: now.toISOString(),
+    lastSeenAt: now.toISOString(),
+    userAgent: String(req.get('user-agent') || '').slice(0, 300),
+    ip: req.ip || ''
+  };
+  sessionIndex.set(session.id, { userId, lastSeenAt: now.getTime(), persistedAt: now.getTime() });
+  await updateJson(getSessionsPath(userId), [], sessions => {
+    // expired sessions are dropped whenever a new one is written
+    const live = sessions.filter(s => Date.now() - (Date.parse(s.lastSeenAt) || 0) < SESSION_MAX_AGE);
+    live.push(session);
+    return live;
+  });
+  return session;
+}
+
+/* Mark a session as used now; false if it was revoked or has expired */
+function touchSession(sid, userId) {
+  if (!isSessionActive(sid, userId)) return false;
+  const entry = sessionIndex.get(sid);
+  entry.lastSeenAt = Date.now();
+  if (entry.lastSeenAt - entry.persistedAt >= SESSION_TOUCH_INTERVAL_MS) {
+    entry.persistedAt = entry.lastSeenAt;
+    const seen = new Date(entry.lastSeenAt).toISOString();
+    updateJson(getSessionsPath(userId), [], sessions => {
+      const s = sessions.find(x => x.id === sid);
+      if (s) s.lastSeenAt = seen;
+    }).catch(e => console.error('session touch failed', e && e.message));
+  }
+  return true;
+}
+
+/* Revoke the user's sessions matching `predicate(session)`; returns how many */
+async function revokeSessions(userId, predicate) {
+  let removed = [];
+  await updateJson(getSessionsPath(userId), [], sessions => {
+    removed = sessions.filter(predicate);
+    return sessions.filter(s => !removed.includes(s));
+  });
+  for (const s of removed) sessionIndex.delete(s.id);
+  closeNotificationStreams(userId, new Set(removed.map(s => s.id)));
+  return removed.length;
+}
+
+/* End the user's open notification streams that belong to one of the given sessions */
+function closeNotificationStreams(userId, sids) {
+  const streams = notificationStreams.get(userId);
+  if (!streams) return;
+  for (const [res, sid] of Array.from(streams)) {
+    if (sids.has(sid)) res.end();
+  }
+}
+
+function listSessions(userId) {
+  return readJsonArray(getSessionsPath(userId))
+    .filter(s => isSessionActive(s.id, userId))
+    .map(s => ({ ...s, lastSeenAt: new Date(sessionIndex.get(s.id).lastSeenAt).toISOString() }))
+    .sort((a, b) => (a.lastSeenAt < b.lastSeenAt ? 1 : -1));
+}
+
+function signSessionToken(user, sid) {
+  return sessionKeys.sign({ id: user.id, email: user.email, username: user.username, sid }, { expiresIn: `${SESSION_DAYS}d` });
+}
+
+/* Payload of a valid token whose session is still registered; throws otherwise */
+function verifySessionToken(token) {
+  const payload = sessionKeys.verify(token);
+  if (!isSessionActive(payload.sid, payload.id)) throw new Error('Session revoked');
+  return payload;
+}
+
+/* Revoke the session behind `token`, if it is one of ours */
+async function revokeSessionOfToken(token) {
+  try {
+    const p = sessionKeys.verify(token);
+    if (p.sid) await revokeSessions(p.id, s => s.id === p.sid);
+  } catch {}
 }
 
 /* Accounts cookie helpers */
@@ -256,45 +688,64 @@ function readAccountsFromReq(req) {
   } catch { return []; }
 }
 function writeAccountsCookie(res, accounts) {
-  try { res.cookie('accounts', JSON.stringify(accounts), { httpOnly: false, maxAge: SESSION_MAX_AGE }); } catch {}
+  try { res.cookie('accounts', JSON.stringify(accounts), { ...SESSION_COOKIE_OPTIONS, httpOnly: false }); } catch {}
 }
 function filterValidAccounts(accounts) {
   const out = [];
   for (let token of accounts) {
-    try { jwt.verify(token, SECRET); out.push(token); } catch {}
+    try { verifySessionToken(token); out.push(token); } catch {}
   }
   return out;
 }
 
-/* Sliding session middleware */
-app.use((req, res, next) => {
+/* Sliding session middleware
+   Re-signs the 'token' and 'accounts' cookies so sessions in use don't expire, drops tokens
+   whose session was revoked, and registers a session for tokens issued before the registry
+   existed. The refreshed tokens also replace req.cookies for the rest of this request. */
+app.use(async (req, res, next) => {
   try {
-    const currentAccounts = readAccountsFromReq(req);
-    const newAccounts = [];
-    for (let t of currentAccounts) {
+    const refreshed = new Map(); // old token -> new token (null = drop); the active token is usually also in accounts
+    const refresh = async (t) => {
+      if (refreshed.has(t)) return refreshed.get(t);
+      let out = null;
       try {
-        const payload = jwt.verify(t, SECRET);
-        const newToken = jwt.sign({ id: payload.id, email: payload.email, username: payload.username }, SECRET, { expiresIn: `${SESSION_DAYS}d` });
-        newAccounts.push(newToken);
+        const payload = sessionKeys.verify(t);
+        let sid = payload.sid;
+        if (!sid) {
+          if (usernameIndex.get(payload.username) === payload.id) sid = (await createSession(payload.id, req)).id;
+        } else if (!touchSession(sid, payload.id)) sid = null;
+        if (sid) out = signSessionToken(payload, sid);
       } catch {}
+      refreshed.set(t, out);
+      return out;
+    };
+
+    const newAccounts = [];
+    for (const t of readAccountsFromReq(req)) {
+      const nt = await refresh(t);
+      if (nt) newAccounts.push(nt);
     }
     writeAccountsCookie(res, newAccounts);
+    req.cookies.accounts = JSON.stringify(newAccounts);
 
     const activeToken = req.cookies.token;
     if (activeToken) {
-      try {
-        const payload = jwt.verify(activeToken, SECRET);
-        const newActive = jwt.sign({ id: payload.id, email: payload.email, username: payload.username }, SECRET, { expiresIn: `${SESSION_DAYS}d` });
-        res.cookie('token', newActive, { httpOnly: true, maxAge: SESSION_MAX_AGE });
-
+      const newActive = await refresh(activeToken);
+      if (newActive) {
+        res.cookie('token', newActive, SESSION_COOKIE_OPTIONS);
+        req.cookies.token = newActive;
+        const payload = sessionKeys.verify(newActive);
         const mapByUsername = {};
-        for (let t of newAccounts) {
-          try { const p = jwt.verify(t, SECRET); mapByUsername[p.username] = t; } catch {}
+        for (const t of newAccounts) {
+          try { const p = sessionKeys.verify(t); mapByUsername[p.username] = t; } catch {}
         }
         mapByUsername[payload.username] = newActive;
-        writeAccountsCookie(res, Object.values(mapByUsername));
-      } catch {
+        const merged = Object.values(mapByUsername);
+        writeAccountsCookie(res, merged);
+        req.cookies.accounts = JSON.stringify(merged);
+      } else {
         res.clearCookie('token');
+        delete req.cookies.token;
       }
     }
   } catch (e) {
@@ -303,20 +754,129 @@ app.use((req, res, next) => {
   next();
 });
 
+/* ------------------------
+   CSRF protection
+   Double-submit cookie: every browser gets a random 'csrf' cookie that page scripts can
+   read, and each state-changing /api request must echo it in the X-CSRF-Token header
+   (public/js/main.js adds it to every same-origin fetch). Another site can make the
+   browser send our cookies, but it can't read them to set the header.
+   ------------------------ */
+const CSRF_COOKIE = 'csrf';
+const CSRF_HEADER = 'x-csrf-token';
+const CSRF_SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/* Express matches routes regardless of case, so /API/... reaches the same handlers as /api/... */
+function isApiRequest(req) {
+  return req.originalUrl.toLowerCase().startsWith('/api/');
+}
+
+function csrfTokensMatch(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || !a) return false;
+  const x = Buffer.from(a);
+  const y = Buffer.from(b);
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+app.use((req, res, next) => {
+  if (!req.cookies[CSRF_COOKIE]) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    res.cookie(CSRF_COOKIE, token, { ...SESSION_COOKIE_OPTIONS, httpOnly: false });
+    req.cookies[CSRF_COOKIE] = token;
+  }
+  if (CSRF_SAFE_METHODS.has(req.method) || !isApiRequest(req)) return next();
+  if (!csrfTokensMatch(req.get(CSRF_HEADER), req.cookies[CSRF_COOKIE])) {
+    return sendError(res, 'CSRF_INVALID');
+  }
+  next();
+});
+
 /* ------------------------
    Auth / HTML routes
    ------------------------ */
+// Pages redirect to the login page; /api routes answer 401 (403 for a suspended account)
 function authMiddleware(req, res, next) {
+  const isApi = isApiRequest(req);
   const token = req.cookies.token;
-  if (!token) return res.redirect('/login');
+  if (!token) return isApi ? sendError(res, 'UNAUTHENTICATED') : res.redirect('/login');
   try {
-    req.user = jwt.verify(token, SECRET);
+    req.user = verifySessionToken(token);
+    if (isSuspended(req.user.id)) {
+      res.clearCookie('token');
+      return isApi ? sendError(res, 'ACCOUNT_SUSPENDED') : res.redirect('/login');
+    }
     next();
   } catch {
     res.clearCookie('token');
-    return res.redirect('/login');
+    return isApi ? sendError(res, 'UNAUTHENTICATED') : res.redirect('/login');
+  }
+}
+
+/* Logged-in user for public routes (null when signed out) */
+function getOptionalUser(req) {
+  const token = req.cookies.token;
+  if (!token) return null;
+  try {
+    const user = verifySessionToken(token);
+    return isSuspended(user.id) ? null : user;
+  } catch { return null; }
+}
+
+/* ------------------------
+   Rate limiting
+   ------------------------ */
+// Token buckets per client IP and, on routes behind authMiddleware, per account. Override
+// any rule with the rateLimits setting (RATE_LIMITS env var, JSON), e.g.
+// {"post":{"account":{"points":5}}}.
+// Failed logins are counted per account (normalized email) and lock it out with a doubling
+// delay; the IP bucket on the same routes slows down guessing across many accounts.
+const MINUTE = 60 * 1000;
+const RATE_LIMITS = {
+  login: { ip: { points: 20, durationMs: 10 * MINUTE } },
+  register: { ip: { points: 5, durationMs: 60 * MINUTE } },
+  post: { ip: { points: 30, durationMs: 10 * MINUTE }, account: { points: 10, durationMs: 10 * MINUTE } },
+  comment: { ip: { points: 60, durationMs: 10 * MINUTE }, account: { points: 30, durationMs: 10 * MINUTE } },
+  // verification / reset mails; "account" is the target address for forgot-password
+  mail: { ip: { points: 10, durationMs: 60 * MINUTE }, account: { points: 3, durationMs: 60 * MINUTE } }
+};
+const LOGIN_LOCKOUT = { freeAttempts: 5, baseDelayMs: 30 * 1000, maxDelayMs: 60 * MINUTE, resetAfterMs: 24 * 60 * MINUTE };
+
+for (const [name, rule] of Object.entries(config.rateLimits)) {
+  if (!RATE_LIMITS[name] || !rule) continue;
+  for (const scope of ['ip', 'account']) {
+    if (rule[scope]) RATE_LIMITS[name][scope] = { ...RATE_LIMITS[name][scope], ...rule[scope] };
+  }
+}
+
+const rateLimitStore = createMemoryStore();
+const rateLimiters = {};
+for (const [name, rule] of Object.entries(RATE_LIMITS)) {
+  rateLimiters[name] = {};
+  for (const scope of ['ip', 'account']) {
+    if (rule[scope]) rateLimiters[name][scope] = createTokenBucket({ store: rateLimitStore, name: `${name}:${scope}`, ...rule[scope] });
   }
 }
+const loginLockout = createFailureLockout({ store: rateLimitStore, name: 'login-failures', ...LOGIN_LOCKOUT });
+
+function sendTooManyRequests(res, retryAfterMs, msg) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return sendError(res, 'RATE_LIMITED', msg, { retryAfter });
+}
+
+/* Middleware for RATE_LIMITS[name]; put it after authMiddleware to get the per-account limit */
+function rateLimit(name) {
+  const limiters = rateLimiters[name];
+  return async (req, res, next) => {
+    const checks = [];
+    if (limiters.ip) checks.push([limiters.ip, req.ip]);
+    if (limiters.account && req.user) checks.push([limiters.account, req.user.id]);
+    for (const [limiter, key] of checks) {
+      const result = await limiter.consume(key);
+      if (!result.allowed) return sendTooManyRequests(res, result.retryAfterMs);
+    }
+    next();
+  };
+}
 
 app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'views/index.html')));
 app.get('/login', (req, res) => res.sendFile(path.join(__dirname, 'views/login.html')));
@@ -324,20 +884,37 @@ app.get('/register', (req, res) => res.sendFile(path.join(__dirname, 'views/regi
 app.get('/profile', authMiddleware, (req, res) => res.sendFile(path.join(__dirname, 'views/profile.html')));
 app.get('/profile/edit', authMiddleware, (req, res) => res.sendFile(path.join(__dirname, 'views/edit_profile.html')));
 app.get('/user/:username', (req, res) => res.sendFile(path.join(__dirname, 'views/user_profile.html')));
+app.get('/user/:username/posts', (req, res) => res.sendFile(path.join(__dirname, 'views/user_posts.html')));
 app.get('/accounts', authMiddleware, (req, res) => res.sendFile(path.join(__dirname, 'views/accounts.html')));
 app.get('/post/create', authMiddleware, (req, res) => res.sendFile(path.join(__dirname, 'views/create_post.html')));
 app.get('/post/:id/edit', authMiddleware, (req, res) => res.sendFile(path.join(__dirname, 'views/edit_post.html')));
+app.get('/post/:id/history', (req, res) => res.sendFile(path.join(__dirname, 'views/post_history.html')));
 app.get('/post/:id', (req, res) => res.sendFile(path.join(__dirname, 'views/post.html')));
+app.get('/tag/:tag', (req, res) => res.sendFile(path.join(__dirname, 'views/tag.html')));
+app.get('/saved', authMiddleware, (req, res) => res.sendFile(path.join(__dirname, 'views/saved.html')));
+app.get('/drafts', authMiddleware, (req, res) => res.sendFile(path.join(__dirname, 'views/drafts.html')));
+app.get('/search', (req, res) => res.sendFile(path.join(__dirname, 'views/search.html')));
+app.get('/verify-email', (req, res) => res.sendFile(path.join(__dirname, 'views/verify_email.html')));
+app.get('/forgot-password', (req, res) => res.sendFile(path.join(__dirname, 'views/forgot_password.html')));
+app.get('/reset-password', (req, res) => res.sendFile(path.join(__dirname, 'views/reset_password.html')));
+app.get('/moderation', authMiddleware, (req, res) => {
+  if (!isModerator(req.user.id)) return res.redirect('/');
+  res.sendFile(path.join(__dirname, 'views/moderation.html'));
+});
 
 /* ------------------------
    API routes (auth/accounts)
    ------------------------ */
 
-app.post('/api/register', (req, res) => {
+app.post('/api/register', rateLimit('register'), validateRequest({
+  body: { username: NEW_USERNAME_RULE, email: v.email({ label: 'อีเมล' }), password: NEW_PASSWORD_RULE }
+}), async (req, res) => {
   const { username, email, password } = req.body;
-  if (!username || !email || !password) return res.json({ success: false, msg: 'Missing fields' });
-  if (findUserByUsername(username)) return res.json({ success: false, msg: 'Username exists' });
-  if (findUserByEmail(email)) return res.json({ success: false, msg: 'Email exists' });
+  // hash first: everything after this point runs without yielding, so two
+  // concurrent registrations can't both pass the uniqueness checks
+  const passwordHash = await hashPassword(password);
+  if (usernameIndex.has(username)) return sendError(res, 'USERNAME_TAKEN');
+  if (emailIndex.has(normalizeEmail(email))) return sendError(res, 'EMAIL_TAKEN');
 
   const userId = uuidv4();
   const userDir = getUserDir(userId);
@@ -349,38 +926,56 @@ app.post('/api/register', (req, res) => {
     displayName: username,
     profilePic: '',
     profilePicOriginal: '',
-    password,
+    passwordHash,
+    emailVerified: false,
     createdAt: new Date().toISOString(),
     showEmail: false
   };
-  fs.writeFileSync(getUserProfilePath(userId), JSON.stringify(profile, null, 2), 'utf8');
-  fs.writeFileSync(path.join(userDir, 'posts.json'), '[]', 'utf8');
-  fs.writeFileSync(path.join(userDir, 'comments.json'), '[]', 'utf8');
-  fs.writeFileSync(path.join(userDir, 'notifications.json'), '[]', 'utf8');
-  fs.writeFileSync(getFollowersPath(userId), '[]', 'utf8');
-  fs.writeFileSync(getFollowingPath(userId), '[]', 'utf8');
+  writeJson(getUserProfilePath(userId), profile);
+  writeJson(path.join(userDir, 'posts.json'), []);
+  writeJson(path.join(userDir, 'comments.json'), []);
+  writeJson(getUserNotificationsPath(userId), []);
+  writeJson(getFollowersPath(userId), []);
+  writeJson(getFollowingPath(userId), []);
+  writeJson(getBookmarksPath(userId), []);
+  writeJson(getBlocksPath(userId), []);
+  writeJson(getMutesPath(userId), []);
+  indexUser(profile);
+  indexUserForSearch(profile);
+  await sendVerificationEmail(req, userId);
 
   res.json({ success: true });
 });
 
-app.post('/api/login', (req, res) => {
+const LOGIN_BODY = { email: v.string({ label: 'อีเมล', max: 254 }), password: PASSWORD_RULE };
+
+app.post('/api/login', rateLimit('login'), validateRequest({ body: LOGIN_BODY }), async (req, res) => {
   const { email, password } = req.body;
+  const lockKey = normalizeEmail(email);
+  // counted as a failure up front, taken back by the reset below when the password is right
+  const lock = await loginLockout.attempt(lockKey);
+  if (lock.locked) return sendTooManyRequests(res, lock.retryAfterMs, 'ใส่รหัสผ่านผิดหลายครั้งเกินไป กรุณารอสักครู่แล้วลองใหม่');
   const user = findUserByEmail(email);
-  if (!user || user.password !== password) return res.json({ success: false, msg: 'Invalid credentials' });
+  if (!(await checkCredentials(user, password))) return sendError(res, 'INVALID_CREDENTIALS');
+  await loginLockout.reset(lockKey);
+  if (isSuspended(user.id)) return sendError(res, 'ACCOUNT_SUSPENDED');
 
-  const token = jwt.sign({ id: user.id, email: user.email, username: user.username }, SECRET, { expiresIn: `${SESSION_DAYS}d` });
-  res.cookie('token', token, { httpOnly: true, maxAge: SESSION_MAX_AGE });
+  const session = await createSession(user.id, req);
+  const token = signSessionToken(user, session.id);
+  res.cookie('token', token, SESSION_COOKIE_OPTIONS);
 
   let existing = readAccountsFromReq(req);
   let valid = filterValidAccounts(existing);
   const already = valid.find(t => {
-    try { return jwt.verify(t, SECRET).username === user.username; } catch { return false; }
+    try { return verifySessionToken(t).username === user.username; } catch { return false; }
   });
   if (!already) valid.push(token);
   else {
+    // signing in again in this browser replaces its earlier session
+    await revokeSessionOfToken(already);
     valid = valid.map(t => {
       try {
-        const p = jwt.verify(t, SECRET);
+        const p = verifySessionToken(t);
         if (p.username === user.username) return token;
         return t;
       } catch { return null; }
@@ -390,23 +985,30 @@ app.post('/api/login', (req, res) => {
   res.json({ success: true });
 });
 
-app.post('/api/add-account', (req, res) => {
+app.post('/api/add-account', rateLimit('login'), validateRequest({ body: LOGIN_BODY }), async (req, res) => {
   const { email, password } = req.body;
-  if (!email || !password) return res.json({ success: false, msg: 'Missing fields' });
+  const lockKey = normalizeEmail(email);
+  // counted as a failure up front, taken back by the reset below when the password is right
+  const lock = await loginLockout.attempt(lockKey);
+  if (lock.locked) return sendTooManyRequests(res, lock.retryAfterMs, 'ใส่รหัสผ่านผิดหลายครั้งเกินไป กรุณารอสักครู่แล้วลองใหม่');
   const user = findUserByEmail(email);
-  if (!user || user.password !== password) return res.json({ success: false, msg: 'Invalid credentials' });
-  const token = jwt.sign({ id: user.id, email: user.email, username: user.username }, SECRET, { expiresIn: `${SESSION_DAYS}d` });
+  if (!(await checkCredentials(user, password))) return sendError(res, 'INVALID_CREDENTIALS');
+  await loginLockout.reset(lockKey);
+  if (isSuspended(user.id)) return sendError(res, 'ACCOUNT_SUSPENDED');
+  const session = await createSession(user.id, req);
+  const token = signSessionToken(user, session.id);
 
   let accounts = readAccountsFromReq(req);
   accounts = filterValidAccounts(accounts);
   const exists = accounts.find(t => {
-    try { return jwt.verify(t, SECRET).username === user.username; } catch { return false; }
+    try { return verifySessionToken(t).username === user.username; } catch { return false; }
   });
   if (!exists) accounts.push(token);
   else {
+    await revokeSessionOfToken(exists);
     accounts = accounts.map(t => {
       try {
-        const p = jwt.verify(t, SECRET);
+        const p = verifySessionToken(t);
         if (p.username === user.username) return token;
         return t;
       } catch { return null; }
@@ -414,52 +1016,53 @@ app.post('/api/add-account', (req, res) => {
   }
   writeAccountsCookie(res, accounts);
 
-  if (!req.cookies.token) res.cookie('token', token, { httpOnly: true, maxAge: SESSION_MAX_AGE });
+  if (!req.cookies.token) res.cookie('token', token, SESSION_COOKIE_OPTIONS);
   res.json({ success: true, username: user.username });
 });
 
-app.post('/api/logout', (req, res) => {
+// Ends the active session on the server too; the account drops out of the switcher
+app.post('/api/logout', async (req, res) => {
+  if (req.cookies.token) await revokeSessionOfToken(req.cookies.token);
+  writeAccountsCookie(res, filterValidAccounts(readAccountsFromReq(req)));
   res.clearCookie('token');
   res.json({ success: true });
 });
 
-app.post('/api/accounts/switch', (req, res) => {
+app.post('/api/accounts/switch', validateRequest({ body: USERNAME_PARAMS }), (req, res) => {
   const { username } = req.body;
-  if (!username) return res.json({ success: false, msg: 'Missing username' });
   const accounts = filterValidAccounts(readAccountsFromReq(req));
   for (let token of accounts) {
     try {
-      const p = jwt.verify(token, SECRET);
+      const p = verifySessionToken(token);
       if (p.username === username) {
-        res.cookie('token', token, { httpOnly: true, maxAge: SESSION_MAX_AGE });
+        if (isSuspended(p.id)) return sendError(res, 'ACCOUNT_SUSPENDED');
+        res.cookie('token', token, SESSION_COOKIE_OPTIONS);
         return res.json({ success: true });
       }
     } catch {}
   }
-  return res.json({ success: false, msg: 'Account not found' });
+  return sendError(res, 'NOT_FOUND', 'ไม่พบบัญชีนี้ในเบราว์เซอร์นี้');
 });
 
-app.post('/api/accounts/remove', (req, res) => {
+app.post('/api/accounts/remove', validateRequest({ body: USERNAME_PARAMS }), async (req, res) => {
   const { username } = req.body;
-  if (!username) return res.json({ success: false, msg: 'Missing username' });
   let accounts = filterValidAccounts(readAccountsFromReq(req));
-  accounts = accounts.filter(t => {
-    try {
-      const p = jwt.verify(t, SECRET);
-      return p.username !== username;
-    } catch { return false; }
+  const removed = accounts.filter(t => {
+    try { return verifySessionToken(t).username === username; } catch { return false; }
   });
+  for (const t of removed) await revokeSessionOfToken(t);
+  accounts = accounts.filter(t => !removed.includes(t));
   writeAccountsCookie(res, accounts);
   const activeToken = req.cookies.token;
   if (activeToken) {
     try {
-      const p = jwt.verify(activeToken, SECRET);
+      const p = verifySessionToken(activeToken);
       if (p.username === username) {
-        if (accounts.length > 0) res.cookie('token', accounts[0], { httpOnly: true, maxAge: SESSION_MAX_AGE });
+        if (accounts.length > 0) res.cookie('token', accounts[0], SESSION_COOKIE_OPTIONS);
         else res.clearCookie('token');
       }
     } catch {
-      if (accounts.length > 0) res.cookie('token', accounts[0], { httpOnly: true, maxAge: SESSION_MAX_AGE });
+      if (accounts.length > 0) res.cookie('token', accounts[0], SESSION_COOKIE_OPTIONS);
       else res.clearCookie('token');
     }
   } else {
@@ -473,7 +1076,7 @@ app.get('/api/accounts', (req, res) => {
   const out = [];
   for (let token of accounts) {
     try {
-      const p = jwt.verify(token, SECRET);
+      const p = verifySessionToken(token);
       const u = findUserByUsername(p.username);
       out.push({
         username: p.username,
@@ -483,11 +1086,186 @@ app.get('/api/accounts', (req, res) => {
     } catch {}
   }
   let active = null;
+  let activeRole = null;
+  let activeVerified = null;
   const activeToken = req.cookies.token;
   if (activeToken) {
-    try { active = jwt.verify(activeToken, SECRET).username; } catch { active = null; }
+    try {
+      const p = verifySessionToken(activeToken);
+      active = p.username;
+      activeRole = getUserRole(p.id);
+      activeVerified = isEmailVerified(p.id);
+    } catch { active = null; }
   }
-  res.json({ success: true, accounts: out, active });
+  res.json({ success: true, accounts: out, active, activeRole, activeVerified });
+});
+
+/* Signed-in devices of the current user */
+app.get('/api/sessions', authMiddleware, (req, res) => {
+  const sessions = listSessions(req.user.id).map(s => ({
+    id: s.id,
+    createdAt: s.createdAt,
+    lastSeenAt: s.lastSeenAt,
+    userAgent: s.userAgent,
+    ip: s.ip,
+    current: s.id === req.user.sid
+  }));
+  res.json({ success: true, sessions });
+});
+
+app.delete('/api/sessions/:id', authMiddleware, validateRequest({ params: ID_PARAMS }), async (req, res) => {
+  const removed = await revokeSessions(req.user.id, s => s.id === req.params.id);
+  if (!removed) return sendError(res, 'NOT_FOUND', 'ไม่พบอุปกรณ์นี้');
+  if (req.params.id === req.user.sid) res.clearCookie('token');
+  res.json({ success: true });
+});
+
+// body { keepCurrent } - true: every other device, false (default): this one too
+app.post('/api/sessions/revoke-all', authMiddleware, validateRequest({
+  body: { keepCurrent: v.boolean({ optional: true, default: false }) }
+}), async (req, res) => {
+  const { keepCurrent } = req.body;
+  const revoked = await revokeSessions(req.user.id, s => !keepCurrent || s.id !== req.user.sid);
+  if (!keepCurrent) res.clearCookie('token');
+  res.json({ success: true, revoked });
+});
+
+/* ------------------------
+   Email verification + password reset
+   ------------------------ */
+// Mail goes through lib/mailer.js; mailTransport outbox (default, files in the outboxDir
+// setting, ./outbox, kept out of DATA_DIR) or console. Links point at baseUrl, or at the
+// host the request came in on.
+// Tokens are JWTs signed with keys derived from the session keys (so they can never pass
+// as a session token) carrying { uid, email, purpose, jti }. The jti of the one outstanding
+// token per purpose is kept in profile.emailTokens; using a token removes it (single use)
+// and issuing a new one replaces it. Tokens also die when the address changes.
+// profile.emailVerified === false marks an unverified account; older accounts have no
+// flag and count as verified.
+const OUTBOX_DIR = config.outboxDir;
+const emailTokenKeys = sessionKeys.derive('email-tokens');
+const EMAIL_TOKEN_TTL = { verify: '48h', reset: '1h' };
+
+const mailer = createMailer({
+  transport: config.mailTransport === 'console' ? createConsoleTransport() : createOutboxTransport(OUTBOX_DIR),
+  from: config.mailFrom
+});
+
+function isEmailVerified(userId) {
+  try { return (readJson(getUserProfilePath(userId)) || {}).emailVerified !== false; } catch { return true; }
+}
+
+/* After authMiddleware: unverified accounts can read but not post, comment or report */
+function requireVerified(req, res, next) {
+  if (!isEmailVerified(req.user.id)) return sendError(res, 'EMAIL_NOT_VERIFIED');
+  next();
+}
+
+function appBaseUrl(req) {
+  return (config.baseUrl || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+/* Issue a token for `purpose` (replacing any earlier one); null if the user is gone */
+async function issueEmailToken(userId, purpose) {
+  const jti = uuidv4();
+  const profile = await updateJson(getUserProfilePath(userId), null, p => {
+    if (!p) return;
+    p.emailTokens = { ...(p.emailTokens || {}), [purpose]: jti };
+  });
+  if (!profile) return null;
+  const token = emailTokenKeys.sign({ uid: userId, email: normalizeEmail(profile.email), purpose, jti }, { expiresIn: EMAIL_TOKEN_TTL[purpose] });
+  return { token, profile };
+}
+
+/**
+ * Check a token and consume it; `apply(profile)` runs inside the same profile update.
+ * Returns the updated profile, or null if the token is invalid, expired or already used.
+ */
+async function consumeEmailToken(token, purpose, apply) {
+  let payload;
+  try { payload = emailTokenKeys.verify(token); } catch { return null; }
+  if (payload.purpose !== purpose || !payload.uid) return null;
+  const profilePath = getUserProfilePath(payload.uid);
+  if (!fs.existsSync(profilePath)) return null;
+  let ok = false;
+  const profile = await updateJson(profilePath, null, p => {
+    if (!p || !p.emailTokens || p.emailTokens[purpose] !== payload.jti) return;
+    if (normalizeEmail(p.email) !== payload.email) return;
+    ok = true;
+    delete p.emailTokens[purpose];
+    apply(p);
+  });
+  return ok ? profile : null;
+}
+
+async function sendVerificationEmail(req, userId) {
+  const issued = await issueEmailToken(userId, 'verify');
+  if (!issued) return { ok: false };
+  const link = `${appBaseUrl(req)}/verify-email?token=${encodeURIComponent(issued.token)}`;
+  return mailer.send({
+    to: issued.profile.email,
+    subject: 'ยืนยันอีเมลของคุณ',
+    text: `สวัสดี ${issued.profile.username}\n\nกรุณายืนยันอีเมลของคุณโดยเปิดลิงก์นี้ (ใช้ได้ภายใน 48 ชั่วโมง):\n${link}\n\nหากคุณไม่ได้สมัครสมาชิก ไม่ต้องทำอะไร`
+  });
+}
+
+async function sendPasswordResetEmail(req, userId) {
+  const issued = await issueEmailToken(userId, 'reset');
+  if (!issued) return { ok: false };
+  const link = `${appBaseUrl(req)}/reset-password?token=${encodeURIComponent(issued.token)}`;
+  return mailer.send({
+    to: issued.profile.email,
+    subject: 'ตั้งรหัสผ่านใหม่',
+    text: `สวัสดี ${issued.profile.username}\n\nมีคำขอตั้งรหัสผ่านใหม่สำหรับบัญชีของคุณ เปิดลิงก์นี้เพื่อตั้งรหัสผ่านใหม่ (ใช้ได้ภายใน 1 ชั่วโมง):\n${link}\n\nหากคุณไม่ได้ขอ ไม่ต้องทำอะไร รหัสผ่านเดิมยังใช้ได้ตามปกติ`
+  });
+}
+
+const EMAIL_TOKEN_RULE = v.string({ label: 'โทเค็น', max: 2000 });
+
+app.post('/api/auth/verify-email', validateRequest({ body: { token: EMAIL_TOKEN_RULE } }), async (req, res) => {
+  const profile = await consumeEmailToken(req.body.token, 'verify', p => {
+    p.emailVerified = true;
+    p.emailVerifiedAt = new Date().toISOString();
+  });
+  if (!profile) return sendError(res, 'INVALID_TOKEN');
+  res.json({ success: true, username: profile.username });
+});
+
+app.post('/api/auth/resend-verification', authMiddleware, rateLimit('mail'), async (req, res) => {
+  if (isEmailVerified(req.user.id)) return sendError(res, 'ALREADY_VERIFIED');
+  const sent = await sendVerificationEmail(req, req.user.id);
+  if (!sent.ok) return sendError(res, 'INTERNAL', 'ส่งอีเมลไม่สำเร็จ กรุณาลองใหม่ภายหลัง');
+  res.json({ success: true });
+});
+
+// Always answers success, so the form can't be used to find out which addresses have accounts
+app.post('/api/auth/forgot-password', rateLimit('mail'), validateRequest({ body: { email: v.email({ label: 'อีเมล' }) } }), async (req, res) => {
+  const email = normalizeEmail(req.body.email);
+  const perAddress = await rateLimiters.mail.account.consume(email);
+  if (!perAddress.allowed) return sendTooManyRequests(res, perAddress.retryAfterMs);
+  const userId = emailIndex.get(email);
+  if (userId) await sendPasswordResetEmail(req, userId);
+  res.json({ success: true });
+});
+
+app.post('/api/auth/reset-password', validateRequest({
+  body: { token: EMAIL_TOKEN_RULE, password: NEW_PASSWORD_RULE }
+}), async (req, res) => {
+  const { token, password } = req.body;
+  const passwordHash = await hashPassword(password);
+  const profile = await consumeEmailToken(token, 'reset', p => {
+    p.passwordHash = passwordHash;
+    delete p.password;
+    // the reset link proved the user reads this inbox
+    if (p.emailVerified === false) {
+      p.emailVerified = true;
+      p.emailVerifiedAt = new Date().toISOString();
+    }
+  });
+  if (!profile) return sendError(res, 'INVALID_TOKEN');
+  await loginLockout.reset(normalizeEmail(profile.email));
+  await revokeSessions(profile.id, () => true);
+  res.json({ success: true });
 });
 
 /* ------------------------
@@ -497,19 +1275,20 @@ app.get('/api/accounts', (req, res) => {
 // Return profile (owner) with profilePicOriginal if present
 app.get('/api/profile', authMiddleware, (req, res) => {
   const userId = req.user.id;
-  const profilePath = getUserProfilePath(userId);
-  if (!fs.existsSync(profilePath)) return res.json({ success: false, msg: 'Profile not found' });
-  const profileRaw = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+  const profileRaw = readJson(getUserProfilePath(userId));
+  if (!profileRaw) return sendError(res, 'NOT_FOUND', 'ไม่พบโปรไฟล์');
   const profile = { ...profileRaw };
   delete profile.password;
+  delete profile.passwordHash;
+  delete profile.emailTokens;
   if (typeof profile.showEmail === 'undefined') profile.showEmail = false;
   res.json({ success: true, profile, followersCount: getFollowersForUser(userId).length, followingCount: getFollowingForUser(userId).length });
 });
 
 // public user profile
-app.get('/api/user/:username', (req, res) => {
+app.get('/api/user/:username', validateRequest({ params: USERNAME_PARAMS }), (req, res) => {
   const user = findUserByUsername(req.params.username);
-  if (!user) return res.json({ success: false, msg: 'ไม่พบผู้ใช้' });
+  if (!user) return sendError(res, 'NOT_FOUND', 'ไม่พบผู้ใช้');
 
   if (typeof user.showEmail === 'undefined') user.showEmail = false;
 
@@ -520,9 +1299,11 @@ app.get('/api/user/:username', (req, res) => {
   let myUserId = null;
   const token = req.cookies.token;
   if (token) {
-    try { const p = jwt.verify(token, SECRET); myUsername = p.username; myUserId = p.id; } catch {}
+    try { const p = verifySessionToken(token); myUsername = p.username; myUserId = p.id; } catch {}
   }
 
+  // a user who blocked the viewer is shown as missing
+  if (myUserId && hasBlocked(user._userId, myUserId)) return sendError(res, 'NOT_FOUND', 'ไม่พบผู้ใช้');
   const isFollowingFlag = myUserId ? isFollowing(myUserId, user._userId) : false;
 
   const publicProfile = {
@@ -541,147 +1322,946 @@ app.get('/api/user/:username', (req, res) => {
     followersCount: followers.length,
     followingCount: following.length,
     isFollowing: isFollowingFlag,
+    isBlocked: myUserId ? hasBlocked(myUserId, user._userId) : false,
+    isMuted: myUserId ? getMutedIds(myUserId).includes(user._userId) : false,
     myUsername
   });
 });
 
 // update profile text fields
-app.post('/api/profile/update', authMiddleware, (req, res) => {
+// body { displayName, email, showEmail }; fields left out (or blank) stay as they are
+app.post('/api/profile/update', authMiddleware, validateRequest({
+  body: {
+    displayName: v.string({ label: 'ชื่อที่แสดง', max: DISPLAY_NAME_MAX_LENGTH, optional: true }),
+    email: v.email({ label: 'อีเมล', optional: true }),
+    showEmail: v.boolean({ optional: true })
+  }
+}), async (req, res) => {
   const userId = req.user.id;
   const profilePath = getUserProfilePath(userId);
-  if (!fs.existsSync(profilePath)) return res.json({ success: false, msg: 'Profile not found' });
-  const profile = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+  if (!fs.existsSync(profilePath)) return sendError(res, 'NOT_FOUND', 'ไม่พบโปรไฟล์');
   const { displayName, email, showEmail } = req.body;
-  if (displayName) profile.displayName = displayName;
-  if (typeof email !== 'undefined') profile.email = email;
-  if (typeof showEmail !== 'undefined') {
-    if (typeof showEmail === 'string') profile.showEmail = showEmail === 'true' || showEmail === '1';
-    else profile.showEmail = !!showEmail;
+  let emailChanged = false;
+  let emailTaken = false;
+  const updated = await updateJson(profilePath, null, profile => {
+    // checked inside the update so two accounts can't claim the same address at once
+    if (email !== undefined) {
+      const ownerId = emailIndex.get(normalizeEmail(email));
+      if (ownerId && ownerId !== userId) { emailTaken = true; return; }
+    }
+    unindexUser(profile);
+    if (displayName !== undefined) profile.displayName = displayName;
+    if (email !== undefined && normalizeEmail(email) !== normalizeEmail(profile.email)) {
+      profile.email = email;
+      // the new address has to be confirmed again; outstanding links were for the old one
+      profile.emailVerified = false;
+      delete profile.emailTokens;
+      emailChanged = true;
+    } else if (email !== undefined) profile.email = email;
+    if (showEmail !== undefined) profile.showEmail = showEmail;
+    indexUser(profile);
+  });
+  if (emailTaken) return sendError(res, 'EMAIL_TAKEN');
+  indexUserForSearch(updated);
+  if (emailChanged) await sendVerificationEmail(req, userId);
+  res.json({ success: true, emailVerified: updated.emailVerified !== false });
+});
+
+// change password (requires the current one)
+app.post('/api/profile/change-password', authMiddleware, validateRequest({
+  body: {
+    currentPassword: v.string({ label: 'รหัสผ่านปัจจุบัน', max: 1000, trim: false }),
+    newPassword: v.string({ label: 'รหัสผ่านใหม่', min: PASSWORD_MIN_LENGTH, max: PASSWORD_MAX_LENGTH, trim: false })
   }
-  fs.writeFileSync(profilePath, JSON.stringify(profile, null, 2), 'utf8');
-  res.json({ success: true });
+}), async (req, res) => {
+  const userId = req.user.id;
+  const { currentPassword, newPassword } = req.body;
+  const profile = readJson(getUserProfilePath(userId));
+  if (!profile) return sendError(res, 'NOT_FOUND', 'ไม่พบโปรไฟล์');
+  const { ok } = await verifyUserPassword(profile, currentPassword);
+  if (!ok) return sendError(res, 'WRONG_PASSWORD');
+  try {
+    await setUserPassword(userId, newPassword);
+  } catch (e) {
+    console.error('change-password error:', e && e.message);
+    return sendError(res, 'INTERNAL', 'บันทึกไม่สำเร็จ');
+  }
+  // anyone holding an old session has to sign in with the new password
+  const revoked = await revokeSessions(userId, s => s.id !== req.user.sid);
+  res.json({ success: true, revokedSessions: revoked });
 });
 
 /*
- Profile picture upload (unchanged)...
+ Profile picture upload: profilePic is the cropped avatar from the editor, original the
+ full picture it was cropped from (kept so the crop can be redone later). Both are
+ re-encoded as JPEG with EXIF orientation applied and all other metadata dropped.
  */
-app.post('/api/profile/upload-pic', authMiddleware, uploadMemory.fields([{ name: 'profilePic', maxCount: 1 }, { name: 'original', maxCount: 1 }]), async (req, res) => {
+app.post('/api/profile/upload-pic', authMiddleware, uploadProfilePic, validateRequest({
+  body: { replaceOriginal: v.boolean({ optional: true, default: false }) }
+}), async (req, res) => {
   const userId = req.user.id;
   const profFiles = req.files || {};
   const profileFiles = profFiles.profilePic || [];
-  if (profileFiles.length === 0) return res.json({ success: false, msg: 'No file uploaded' });
+  if (profileFiles.length === 0) return sendFieldError(res, 'profilePic', 'required', 'กรุณาเลือกรูปภาพ');
 
   const profilePicFile = profileFiles[0]; // buffer available
   const originalFiles = profFiles.original || [];
-  const replaceOriginal = (req.body && (req.body.replaceOriginal === '1' || req.body.replaceOriginal === 'true'));
+  const { replaceOriginal } = req.body;
 
   try {
     const profilePath = getUserProfilePath(userId);
-    if (!fs.existsSync(profilePath)) return res.json({ success: false, msg: 'Profile not found' });
+    if (!fs.existsSync(profilePath)) return sendError(res, 'NOT_FOUND', 'ไม่พบโปรไฟล์');
 
     const outDir = getUserProfilePicDir(userId);
     const croppedPath = getUserProfilePicCroppedPath(userId);
     const originalPath = getUserProfilePicOriginalPath(userId);
 
     if (originalFiles.length > 0) {
-      fs.writeFileSync(originalPath, originalFiles[0].buffer);
+      await sharp(originalFiles[0].buffer).rotate().jpeg({ quality: 92 }).toFile(originalPath);
     } else {
       if (!fs.existsSync(originalPath) || replaceOriginal) {
-        fs.writeFileSync(originalPath, profilePicFile.buffer);
-      }
-    }
-
-    try {
-      const img = await Jimp.read(profilePicFile.buffer);
-      await applyExifOrientationIfNeeded(profilePicFile.buffer, img);
-      const w = img.bitmap.width || 0;
-      const h = img.bitmap.height || 0;
-      if (w > 0 && h > 0) {
-        const min = Math.min(w, h);
-        const left = Math.floor((w - min) / 2);
-        const top = Math.floor((h - min) / 2);
-        await img.clone().crop(left, top, min, min).resize(400, 400).quality(92).writeAsync(croppedPath);
-      } else {
-        await img.clone().resize(400, 400).quality(92).writeAsync(croppedPath);
-      }
-    } catch (e) {
-      try {
-        fs.writeFileSync(croppedPath, profilePicFile.buffer);
-      } catch (e2) {
-        console.error('failed to write avatar fallback:', e2 && e2.message);
-        return res.status(500).json({ success: false, msg: 'Save failed' });
+        await sharp(profilePicFile.buffer).rotate().jpeg({ quality: 92 }).toFile(originalPath);
       }
     }
+    // centered square crop, 400x400
+    await sharp(profilePicFile.buffer).rotate().resize(400, 400, { fit: 'cover' }).jpeg({ quality: 92 }).toFile(croppedPath);
 
-    const profile = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
-    profile.profilePic = `/data/users/${userId}/profile_pic/avatar.jpg`;
-    profile.profilePicOriginal = `/data/users/${userId}/profile_pic/original.jpg`;
-    fs.writeFileSync(profilePath, JSON.stringify(profile, null, 2), 'utf8');
+    const profile = await updateJson(profilePath, null, p => {
+      p.profilePic = `/data/users/${userId}/profile_pic/avatar.jpg`;
+      p.profilePicOriginal = `/data/users/${userId}/profile_pic/original.jpg`;
+    });
 
     res.json({ success: true, url: profile.profilePic, original: profile.profilePicOriginal });
   } catch (e) {
     console.error('upload-pic error:', e && e.message);
-    res.status(500).json({ success: false, msg: 'Save failed' });
+    sendError(res, 'INTERNAL', 'บันทึกรูปไม่สำเร็จ');
   }
 });
 
-app.post('/api/profile/remove-pic', authMiddleware, (req, res) => {
+app.post('/api/profile/remove-pic', authMiddleware, async (req, res) => {
   try {
     const userId = req.user.id;
     removeAllProfilePics(userId);
     const profilePath = getUserProfilePath(userId);
     if (fs.existsSync(profilePath)) {
-      const profile = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
-      profile.profilePic = '';
-      profile.profilePicOriginal = '';
-      fs.writeFileSync(profilePath, JSON.stringify(profile, null, 2), 'utf8');
+      await updateJson(profilePath, null, profile => {
+        profile.profilePic = '';
+        profile.profilePicOriginal = '';
+      });
     }
     res.json({ success: true });
   } catch (e) {
-    res.status(500).json({ success: false, msg: 'Remove failed' });
+    sendError(res, 'INTERNAL', 'ลบรูปไม่สำเร็จ');
   }
 });
 
 /* Follow / Unfollow */
-app.post('/api/user/:username/follow', authMiddleware, (req, res) => {
+app.post('/api/user/:username/follow', authMiddleware, validateRequest({ params: USERNAME_PARAMS }), async (req, res) => {
   const target = findUserByUsername(req.params.username);
-  if (!target) return res.json({ success: false, msg: 'Target not found' });
+  if (!target) return sendError(res, 'NOT_FOUND', 'ไม่พบผู้ใช้');
   const actorId = req.user.id;
-  if (actorId === target._userId) return res.json({ success: false, msg: 'Cannot follow yourself' });
+  if (actorId === target._userId) return sendError(res, 'INVALID_ACTION', 'ติดตามตัวเองไม่ได้');
+  if (isBlockedEitherWay(actorId, target._userId)) return sendError(res, 'BLOCKED');
 
-  addFollower(target._userId, actorId);
-  addNotificationToUser(target._userId, 'new_follower', `${req.user.username} ติดตามคุณ`, { actorId, actorUsername: req.user.username });
+  await addFollower(target._userId, actorId);
+  await addNotificationToUser(target._userId, 'new_follower', `${req.user.username} ติดตามคุณ`, { actorId, actorUsername: req.user.username });
 
   res.json({ success: true, followersCount: getFollowersForUser(target._userId).length });
 });
 
-app.post('/api/user/:username/unfollow', authMiddleware, (req, res) => {
+app.post('/api/user/:username/unfollow', authMiddleware, validateRequest({ params: USERNAME_PARAMS }), async (req, res) => {
   const target = findUserByUsername(req.params.username);
-  if (!target) return res.json({ success: false, msg: 'Target not found' });
+  if (!target) return sendError(res, 'NOT_FOUND', 'ไม่พบผู้ใช้');
   const actorId = req.user.id;
-  if (actorId === target._userId) return res.json({ success: false, msg: 'Cannot unfollow yourself' });
+  if (actorId === target._userId) return sendError(res, 'INVALID_ACTION', 'เลิกติดตามตัวเองไม่ได้');
 
-  removeFollower(target._userId, actorId);
+  await removeFollower(target._userId, actorId);
 
   res.json({ success: true, followersCount: getFollowersForUser(target._userId).length });
 });
 
-/* Notifications */
-app.get('/api/notifications', authMiddleware, (req, res) => {
-  const userId = req.user.id;
-  const nots = getNotificationsForUser(userId);
-  const unread = nots.filter(n => !n.read).length;
-  res.json({ success: true, notifications: nots, unread });
+/* Block / mute (body-less, like follow) */
+app.post('/api/user/:username/block', authMiddleware, validateRequest({ params: USERNAME_PARAMS }), async (req, res) => {
+  const target = findUserByUsername(req.params.username);
+  if (!target) return sendError(res, 'NOT_FOUND', 'ไม่พบผู้ใช้');
+  if (req.user.id === target._userId) return sendError(res, 'INVALID_ACTION', 'บล็อกตัวเองไม่ได้');
+  await blockUser(req.user.id, target._userId);
+  res.json({ success: true, isBlocked: true });
 });
-app.post('/api/notifications/mark-read', authMiddleware, (req, res) => {
-  const userId = req.user.id;
-  const updated = markNotificationsRead(userId, req.body.ids || []);
+app.post('/api/user/:username/unblock', authMiddleware, validateRequest({ params: USERNAME_PARAMS }), async (req, res) => {
+  const target = findUserByUsername(req.params.username);
+  if (!target) return sendError(res, 'NOT_FOUND', 'ไม่พบผู้ใช้');
+  await unblockUser(req.user.id, target._userId);
+  res.json({ success: true, isBlocked: false });
+});
+app.post('/api/user/:username/mute', authMiddleware, validateRequest({ params: USERNAME_PARAMS }), async (req, res) => {
+  const target = findUserByUsername(req.params.username);
+  if (!target) return sendError(res, 'NOT_FOUND', 'ไม่พบผู้ใช้');
+  if (req.user.id === target._userId) return sendError(res, 'INVALID_ACTION', 'ปิดเสียงตัวเองไม่ได้');
+  await setMuted(req.user.id, target._userId, true);
+  res.json({ success: true, isMuted: true });
+});
+app.post('/api/user/:username/unmute', authMiddleware, validateRequest({ params: USERNAME_PARAMS }), async (req, res) => {
+  const target = findUserByUsername(req.params.username);
+  if (!target) return sendError(res, 'NOT_FOUND', 'ไม่พบผู้ใช้');
+  await setMuted(req.user.id, target._userId, false);
+  res.json({ success: true, isMuted: false });
+});
+// Lists for the profile settings page
+app.get('/api/profile/relations', authMiddleware, (req, res) => {
+  const describe = ids => ids.map(id => {
+    try {
+      const u = readJson(getUserProfilePath(id));
+      return u ? { username: u.username, displayName: u.displayName, profilePic: u.profilePic || '' } : null;
+    } catch { return null; }
+  }).filter(Boolean);
+  res.json({ success: true, blocked: describe(getBlockedIds(req.user.id)), muted: describe(getMutedIds(req.user.id)) });
+});
+
+/* Notifications */
+/* The user's notifications, newest first, without the ones from users they block or mute or
+   who block them (also ones that arrived before the block / mute) */
+function getVisibleNotifications(userId) {
+  const hiddenActors = new Set([...getBlockedIds(userId), ...(blockedBy.get(userId) || []), ...getMutedIds(userId)]);
+  return getNotificationsForUser(userId).filter(n => {
+    const m = n.meta || {};
+    const actorId = m.actorId || (m.actorUsername ? usernameIndex.get(m.actorUsername) : null);
+    return !actorId || !hiddenActors.has(actorId);
+  });
+}
+app.get('/api/notifications', authMiddleware, (req, res) => {
+  const nots = getVisibleNotifications(req.user.id);
+  const unread = nots.filter(n => !n.read).length;
+  res.json({ success: true, notifications: nots, unread });
+});
+// Live notifications; on reconnect the browser sends Last-Event-ID and missed ones are replayed
+app.get('/api/notifications/stream', authMiddleware, (req, res) => {
+  const userId = req.user.id;
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const nots = getVisibleNotifications(userId);
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId) {
+    // looked up among all notifications: the last event may be from a user blocked since
+    const all = getNotificationsForUser(userId);
+    const idx = all.findIndex(n => n.id === lastEventId);
+    // stored newest first: everything before idx arrived after the client's last event
+    if (idx > 0) {
+      const missed = new Set(all.slice(0, idx).map(n => n.id));
+      const replay = nots.filter(n => missed.has(n.id));
+      let unread = nots.filter(n => !missed.has(n.id) && !n.read).length;
+      for (const n of replay.reverse()) {
+        if (!n.read) unread++;
+        writeSseEvent(res, 'notification', { notification: n, unread }, n.id);
+      }
+    }
+  }
+  writeSseEvent(res, 'unread', { unread: nots.filter(n => !n.read).length });
+
+  if (!notificationStreams.has(userId)) notificationStreams.set(userId, new Map());
+  notificationStreams.get(userId).set(res, req.user.sid);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), NOTIFICATION_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const streams = notificationStreams.get(userId);
+    if (streams) {
+      streams.delete(res);
+      if (streams.size === 0) notificationStreams.delete(userId);
+    }
+  });
+});
+// body { ids }: the ones to mark; none = all
+app.post('/api/notifications/mark-read', authMiddleware, validateRequest({
+  body: { ids: v.array(ID_RULE, { optional: true, default: [], max: 500 }) }
+}), async (req, res) => {
+  const userId = req.user.id;
+  const updated = await markNotificationsRead(userId, req.body.ids);
+  pushNotificationEvent(userId, 'unread', { unread: updated.filter(n => !n.read).length });
   res.json({ success: true, notifications: updated, unread: updated.filter(n => !n.read).length });
 });
 
+/* ------------------------
+   Post index + cursor pagination
+   ------------------------ */
+// Newest-first list of { id, username, createdAt } for every post, persisted in
+// data/post_index.json so a page of the feed only reads the post.json files it returns.
+// Rebuilt by scanning data/posts if the file is missing, and checked against data/posts at
+// startup: a crash between writing a post.json and persisting the index leaves them apart.
+const POST_INDEX_PATH = path.join(DATA_DIR, 'post_index.json');
+const PAGE_SIZE_DEFAULT = 20;
+const PAGE_SIZE_MAX = 50;
+let postIndex = [];
+
+function comparePostEntries(a, b) {
+  if (a.createdAt !== b.createdAt) return a.createdAt < b.createdAt ? 1 : -1;
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? 1 : -1;
+}
+function postIndexEntry(post) {
+  return { id: post.id, username: post.username, createdAt: post.createdAt };
+}
+function persistPostIndex() {
+  return updateJson(POST_INDEX_PATH, [], () => postIndex.slice());
+}
+function rebuildPostIndex() {
+  const entries = [];
+  if (fs.existsSync(POSTS_DIR)) {
+    for (const postId of fs.readdirSync(POSTS_DIR)) {
+      try {
+        const p = readJson(getPostPath(postId));
+        if (p && p.id && isPublished(p)) entries.push(postIndexEntry(p));
+      } catch (e) { console.error('rebuildPostIndex: cannot read post', postId, e && e.message); }
+    }
+  }
+  postIndex = entries.sort(comparePostEntries);
+  writeJson(POST_INDEX_PATH, postIndex);
+}
+function loadPostIndex() {
+  let stored = null;
+  try { stored = readJson(POST_INDEX_PATH); } catch (e) { console.error('post index unreadable, rebuilding:', e && e.message); }
+  if (Array.isArray(stored)) {
+    postIndex = stored.sort(comparePostEntries);
+    reconcilePostIndex();
+  } else rebuildPostIndex();
+}
+/* Add published posts the index misses and drop entries whose post.json is gone. Only the
+   posts missing from the index are read. */
+function reconcilePostIndex() {
+  const onDisk = new Set();
+  const indexed = new Set(postIndex.map(e => e.id));
+  const added = [];
+  if (fs.existsSync(POSTS_DIR)) {
+    for (const postId of fs.readdirSync(POSTS_DIR)) {
+      if (!fs.existsSync(getPostPath(postId))) continue;
+      onDisk.add(postId);
+      if (indexed.has(postId)) continue;
+      try {
+        const p = readJson(getPostPath(postId));
+        if (p && p.id === postId && isPublished(p)) added.push(postIndexEntry(p));
+      } catch (e) { console.error('reconcilePostIndex: cannot read post', postId, e && e.message); }
+    }
+  }
+  const kept = postIndex.filter(e => onDisk.has(e.id));
+  if (!added.length && kept.length === postIndex.length) return;
+  console.warn(`post index out of date: ${added.length} post(s) added, ${postIndex.length - kept.length} removed`);
+  postIndex = kept.concat(added).sort(comparePostEntries);
+  writeJson(POST_INDEX_PATH, postIndex);
+}
+async function addToPostIndex(post) {
+  const entry = postIndexEntry(post);
+  postIndex = postIndex.filter(e => e.id !== entry.id);
+  let i = 0;
+  while (i < postIndex.length && comparePostEntries(postIndex[i], entry) < 0) i++;
+  postIndex.splice(i, 0, entry);
+  await persistPostIndex();
+}
+async function removeFromPostIndex(postId) {
+  postIndex = postIndex.filter(e => e.id !== postId);
+  await persistPostIndex();
+}
+
+// Cursor = base64url("<createdAt>|<id>") of the last item on the previous page
+function encodeCursor(entry) {
+  return Buffer.from(`${entry.createdAt}|${entry.id}`, 'utf8').toString('base64url');
+}
+function decodeCursor(cursor) {
+  if (!cursor || typeof cursor !== 'string') return null;
+  try {
+    const raw = Buffer.from(cursor, 'base64url').toString('utf8');
+    const sep = raw.lastIndexOf('|');
+    if (sep <= 0) return null;
+    return { createdAt: raw.slice(0, sep), id: raw.slice(sep + 1) };
+  } catch { return null; }
+}
+// ?limit&before of the paged list routes
+const PAGE_QUERY = {
+  limit: v.number({ label: 'limit', int: true, min: 1, max: PAGE_SIZE_MAX, optional: true }),
+  before: v.string({ label: 'before', max: 500, optional: true })
+};
+function parsePageLimit(raw) {
+  const n = parseInt(raw, 10);
+  if (!Number.isFinite(n) || n <= 0) return PAGE_SIZE_DEFAULT;
+  return Math.min(n, PAGE_SIZE_MAX);
+}
+/**
+ * Take one page from newest-first index entries.
+ * `loadItem(entry)` returns the item to include, or null to skip it (e.g. a post that
+ * disappeared from disk). Returns { items, nextCursor }.
+ */
+function paginateEntries(entries, query, loadItem) {
+  const limit = parsePageLimit(query && query.limit);
+  const cursor = decodeCursor(query && query.before);
+  let start = 0;
+  if (cursor) {
+    start = entries.findIndex(e => comparePostEntries(e, cursor) > 0);
+    if (start === -1) start = entries.length;
+  }
+  const items = [];
+  let i = start;
+  for (; i < entries.length && items.length < limit; i++) {
+    const item = loadItem(entries[i]);
+    if (item) items.push(item);
+  }
+  const nextCursor = i < entries.length ? encodeCursor(entries[i - 1]) : null;
+  return { items, nextCursor };
+}
+/* ------------------------
+   Hashtags + tag index
+   ------------------------ */
+// Tags (#word in a post's title or content, lowercased) are stored on the post as
+// tags: [...]. tagIndex maps tag -> Set of post ids and is persisted in
+// data/tag_index.json as { tag: [postId, ...] }; rebuilt from data/posts if missing and
+// checked against the posts at startup, like the post index.
+// Tag pages page through postIndex filtered by the tag's set, same cursors as the feed.
+const TAG_INDEX_PATH = path.join(DATA_DIR, 'tag_index.json');
+const HASHTAG_RE = /(^|[^\p{L}\p{N}\p{M}_&#])#([\p{L}\p{N}\p{M}_]+)/gu;
+const TAG_MAX_LENGTH = 50;
+let tagIndex = new Map();
+
+function normalizeTag(tag) {
+  return String(tag || '').replace(/^#/, '').normalize('NFC').toLowerCase().trim();
+}
+/* Unique normalized tags found in `...texts`, in order of first appearance */
+function extractTags(...texts) {
+  const tags = [];
+  for (const text of texts) {
+    if (!text) continue;
+    for (const m of String(text).matchAll(HASHTAG_RE)) {
+      const tag = normalizeTag(m[2]);
+      if (tag && tag.length <= TAG_MAX_LENGTH && !/^\d+$/.test(tag) && !tags.includes(tag)) tags.push(tag);
+    }
+  }
+  return tags;
+}
+function serializeTagIndex() {
+  const out = {};
+  for (const [tag, ids] of tagIndex) out[tag] = Array.from(ids);
+  return out;
+}
+function persistTagIndex() {
+  return updateJson(TAG_INDEX_PATH, {}, () => serializeTagIndex());
+}
+function rebuildTagIndex({ persist = true } = {}) {
+  tagIndex = new Map();
+  for (const entry of postIndex) {
+    try {
+      const p = readJson(getPostPath(entry.id));
+      if (!p) continue;
+      const tags = Array.isArray(p.tags) ? p.tags : extractTags(p.title, p.content);
+      for (const tag of tags) {
+        if (!tagIndex.has(tag)) tagIndex.set(tag, new Set());
+        tagIndex.get(tag).add(p.id);
+      }
+    } catch (e) { console.error('rebuildTagIndex: cannot read post', entry.id, e && e.message); }
+  }
+  if (persist) writeJson(TAG_INDEX_PATH, serializeTagIndex());
+}
+/* Call after loadPostIndex(): a rebuild walks the posts listed there */
+function loadTagIndex() {
+  let stored = null;
+  try { stored = readJson(TAG_INDEX_PATH); } catch (e) { console.error('tag index unreadable, rebuilding:', e && e.message); }
+  if (stored && typeof stored === 'object' && !Array.isArray(stored)) {
+    tagIndex = new Map(Object.entries(stored).map(([tag, ids]) => [tag, new Set(ids)]));
+    reconcileTagIndex();
+  } else rebuildTagIndex();
+}
+/* Compare the loaded index with the tags of the posts in postIndex and rewrite it if a
+   crash left them apart (a post's tags missing, or tags of a post that is gone) */
+function reconcileTagIndex() {
+  const stored = tagIndex;
+  rebuildTagIndex({ persist: false });
+  const same = stored.size === tagIndex.size && Array.from(tagIndex).every(([tag, ids]) => {
+    const old = stored.get(tag);
+    return old && old.size === ids.size && Array.from(ids).every(id => old.has(id));
+  });
+  if (same) return;
+  console.warn('tag index out of date, rewritten from the posts');
+  writeJson(TAG_INDEX_PATH, serializeTagIndex());
+}
+/* Point the index at `tags` for postId (empty array = remove the post) */
+async function setPostTags(postId, tags) {
+  for (const [tag, ids] of tagIndex) {
+    if (ids.delete(postId) && ids.size === 0) tagIndex.delete(tag);
+  }
+  for (const tag of tags) {
+    if (!tagIndex.has(tag)) tagIndex.set(tag, new Set());
+    tagIndex.get(tag).add(postId);
+  }
+  await persistTagIndex();
+}
+function topTags(limit) {
+  return Array.from(tagIndex, ([tag, ids]) => ({ tag, count: ids.size }))
+    .sort((a, b) => b.count - a.count || (a.tag < b.tag ? -1 : 1))
+    .slice(0, limit);
+}
+
+/* ------------------------
+   Full-text search (posts, comments, users)
+   ------------------------ */
+// Document keys: post:<postId>, comment:<postId>:<commentId>, user:<userId>.
+// Built at startup from data/ and kept current by the post, comment and profile routes;
+// search results are read back from disk so they always show the current text.
+const searchIndex = createSearchIndex();
+const SEARCH_TYPES = { posts: 'post', comments: 'comment', users: 'user' };
+
+function indexPostForSearch(post) {
+  if (!post || !post.id) return;
+  searchIndex.add(`post:${post.id}`, {
+    type: 'post',
+    fields: [{ text: post.title, weight: 2 }, { text: post.content, weight: 1 }, { text: (post.tags || []).join(' '), weight: 2 }],
+    data: { postId: post.id }
+  });
+}
+/* Re-index every comment of a post (cheap, and covers placeholders + cascaded removals) */
+function indexPostCommentsForSearch(postId) {
+  searchIndex.removeWhere(key => key.startsWith(`comment:${postId}:`));
+  for (const c of readJsonArray(getPostCommentsPath(postId))) {
+    if (c.deleted) continue;
+    searchIndex.add(`comment:${postId}:${c.id}`, {
+      type: 'comment',
+      fields: [{ text: c.content, weight: 1 }],
+      data: { postId, commentId: c.id }
+    });
+  }
+}
+function unindexPostForSearch(postId) {
+  searchIndex.remove(`post:${postId}`);
+  searchIndex.removeWhere(key => key.startsWith(`comment:${postId}:`));
+}
+function indexUserForSearch(profile) {
+  if (!profile || !profile.id) return;
+  searchIndex.add(`user:${profile.id}`, {
+    type: 'user',
+    fields: [{ text: profile.username, weight: 3 }, { text: profile.displayName, weight: 3 }],
+    data: { userId: profile.id }
+  });
+}
+/* Call after rebuildUserIndex() + loadPostIndex() */
+function rebuildSearchIndex() {
+  for (const userId of usernameIndex.values()) {
+    try { indexUserForSearch(readJson(getUserProfilePath(userId))); } catch (e) { console.error('search index: cannot read profile', userId, e && e.message); }
+  }
+  for (const entry of postIndex) {
+    try {
+      indexPostForSearch(loadPostForResponse(entry.id));
+      indexPostCommentsForSearch(entry.id);
+    } catch (e) { console.error('search index: cannot read post', entry.id, e && e.message); }
+  }
+}
+
+/* Hidden by a moderator: only the author and moderators still see it */
+function canSeeHidden(item, viewerId) {
+  if (!item || !item.modHidden) return true;
+  return !!viewerId && (usernameIndex.get(item.username) === viewerId || isModerator(viewerId));
+}
+/* canSeeHidden for published posts; drafts and scheduled posts are for their author only */
+function canSeePost(post, viewerId) {
+  if (!isPublished(post)) return !!viewerId && usernameIndex.get(post.username) === viewerId;
+  return canSeeHidden(post, viewerId);
+}
+/* loadPostForResponse, or null when viewerId may not see the post */
+function loadVisiblePost(postId, viewerId) {
+  const p = loadPostForResponse(postId);
+  return p && canSeePost(p, viewerId) ? p : null;
+}
+/*
+ The post behind a request (postId defaults to req.params.id) if the viewer may see it: the
+ rules of GET /api/post/:id, including blocks either way. Otherwise sends 404 (so a hidden
+ or blocked post looks the same as a missing one) and returns null.
+ */
+function loadPostForViewer(req, res, postId = req.params.id) {
+  const post = readJson(getPostPath(postId));
+  const viewer = req.user || getOptionalUser(req);
+  const viewerId = viewer ? viewer.id : null;
+  if (!post || (viewerId && isBlockedEitherWay(viewerId, usernameIndex.get(post.username))) || !canSeePost(post, viewerId)) {
+    sendError(res, 'NOT_FOUND', 'ไม่พบโพสต์');
+    return null;
+  }
+  return post;
+}
+
+/* Read a post.json for API output (normalizes legacy single-image posts) */
+function loadPostForResponse(postId) {
+  try {
+    const p = readJson(getPostPath(postId));
+    if (!p) return null;
+    p.images = postImageList(p);
+    if (!Array.isArray(p.tags)) p.tags = extractTags(p.title, p.content);
+    return withMentions(p);
+  } catch { return null; }
+}
+
+/* ------------------------
+   Reactions (posts + comments)
+   ------------------------ */
+// Fixed reaction set. Stored on the post / comment object as
+// reactionsByUser: { [userId]: type }; API responses get reactionCounts + myReaction instead.
+const REACTIONS = { like: '👍', love: '❤️', haha: '😂', wow: '😮', sad: '😢', angry: '😡' };
+
+/* Toggle `type` for userId on a post or comment; returns the user's reaction afterwards (or null) */
+function toggleReaction(target, userId, type) {
+  if (!target.reactionsByUser || typeof target.reactionsByUser !== 'object') target.reactionsByUser = {};
+  if (target.reactionsByUser[userId] === type) {
+    delete target.reactionsByUser[userId];
+    return null;
+  }
+  target.reactionsByUser[userId] = type;
+  return type;
+}
+function summarizeReactions(target, viewerId) {
+  const reactionCounts = {};
+  for (const t of Object.keys(REACTIONS)) reactionCounts[t] = 0;
+  const byUser = (target && target.reactionsByUser) || {};
+  for (const t of Object.values(byUser)) {
+    if (Object.prototype.hasOwnProperty.call(reactionCounts, t)) reactionCounts[t]++;
+  }
+  return { reactionCounts, myReaction: (viewerId && byUser[viewerId]) || null };
+}
+/* Copy of a post / comment for API output: raw per-user map replaced by the summary */
+function presentReactions(target, viewerId) {
+  const out = { ...target, ...summarizeReactions(target, viewerId) };
+  delete out.reactionsByUser;
+  return out;
+}
+function notifyReaction(ownerUsername, actor, type, meta, what) {
+  const owner = findUserByUsername(ownerUsername);
+  if (!owner) return null;
+  const key = meta.commentId ? `reaction:${actor.id}:comment:${meta.commentId}` : `reaction:${actor.id}:post:${meta.postId}`;
+  return addNotificationToUser(owner._userId, 'reaction', `${actor.username} แสดงความรู้สึก ${REACTIONS[type]} ต่อ${what}ของคุณ`, { ...meta, reaction: type, actorId: actor.id, actorUsername: actor.username }, { dedupeKey: key });
+}
+
+/* ------------------------
+   Bookmarks (saved posts)
+   ------------------------ */
+// Each user's data/users/<id>/bookmarks.json holds [{ postId, savedAt }], newest first.
+// postBookmarks (postId -> Set of userIds) is the reverse view, rebuilt at startup, used for
+// the `bookmarked` flag and to clear a deleted post out of everyone's collection.
+const postBookmarks = new Map();
+
+function rebuildBookmarkIndex() {
+  postBookmarks.clear();
+  for (const userId of usernameIndex.values()) {
+    for (const b of readJsonArray(getBookmarksPath(userId))) {
+      if (!postBookmarks.has(b.postId)) postBookmarks.set(b.postId, new Set());
+      postBookmarks.get(b.postId).add(userId);
+    }
+  }
+}
+function isBookmarked(postId, userId) {
+  const users = postBookmarks.get(postId);
+  return !!(userId && users && users.has(userId));
+}
+async function addBookmark(userId, postId) {
+  await updateJson(getBookmarksPath(userId), [], list => {
+    if (list.some(b => b.postId === postId)) return;
+    list.unshift({ postId, savedAt: new Date().toISOString() });
+  });
+  if (!postBookmarks.has(postId)) postBookmarks.set(postId, new Set());
+  postBookmarks.get(postId).add(userId);
+}
+async function removeBookmark(userId, postId) {
+  await updateJson(getBookmarksPath(userId), [], list => list.filter(b => b.postId !== postId));
+  const users = postBookmarks.get(postId);
+  if (users) {
+    users.delete(userId);
+    if (users.size === 0) postBookmarks.delete(postId);
+  }
+}
+async function removePostFromAllBookmarks(postId) {
+  for (const userId of Array.from(postBookmarks.get(postId) || [])) {
+    try { await removeBookmark(userId, postId); } catch (e) { console.error('remove bookmark error', userId, e && e.message); }
+  }
+  postBookmarks.delete(postId);
+}
+
+/* Post for API output: reactions summary + the viewer's bookmark flag */
+function presentPost(post, viewerId) {
+  return { ...presentReactions(post, viewerId), bookmarked: isBookmarked(post.id, viewerId), media: postMedia(post) };
+}
+
+/* ------------------------
+   Mentions (@username in posts + comments)
+   ------------------------ */
+// Stored on the post / comment as mentions: [{ username, start, end }], offsets into
+// `content` (JS string indexes, end exclusive, covering the leading "@").
+// Only names that resolve to a real user are kept.
+const MENTION_RE = /(^|[^\p{L}\p{N}\p{M}_.@])@([\p{L}\p{N}\p{M}_.-]+)/gu;
+
+/* authorId (optional): users blocked either way with the author aren't linked or notified */
+function findMentions(text, authorId) {
+  const mentions = [];
+  if (!text) return mentions;
+  for (const m of String(text).matchAll(MENTION_RE)) {
+    let name = m[2];
+    // "@bob." at the end of a sentence: retry without the trailing punctuation
+    if (!findUserByUsername(name)) name = name.replace(/[.-]+$/, '');
+    if (!name || !findUserByUsername(name)) continue;
+    if (authorId && isBlockedEitherWay(authorId, usernameIndex.get(name))) continue;
+    const start = m.index + m[1].length;
+    mentions.push({ username: name, start, end: start + 1 + name.length });
+  }
+  return mentions;
+}
+
+/* Fill in `mentions` for records saved before mentions were tracked */
+function withMentions(item) {
+  if (item && !Array.isArray(item.mentions)) item.mentions = findMentions(item.content);
+  return item;
+}
+
+/**
+ * Send one 'mention' notification per user newly mentioned in `item`.
+ * `previous` is the mention list before an edit; the dedupe key covers users
+ * who were mentioned, edited out and mentioned again.
+ */
+async function notifyMentions(item, previous, actor, meta, what) {
+  const already = new Set((previous || []).map(m => m.username));
+  const key = meta.commentId ? `mention:comment:${meta.commentId}` : `mention:post:${meta.postId}`;
+  const seen = new Set();
+  for (const { username } of (item.mentions || [])) {
+    if (username === actor.username || already.has(username) || seen.has(username)) continue;
+    seen.add(username);
+    const target = findUserByUsername(username);
+    if (!target) continue;
+    try {
+      await addNotificationToUser(target._userId, 'mention', `${actor.username} กล่าวถึงคุณใน${what}`, { ...meta, actorId: actor.id, actorUsername: actor.username }, { dedupeKey: key });
+    } catch (e) { console.error('notify mention error', e && e.message); }
+  }
+}
+
+/* ------------------------
+   Drafts + scheduled publishing
+   ------------------------ */
+// post.status is 'draft', 'scheduled' (publishing at post.publishAt) or 'published'; posts
+// from before drafts existed have no status and count as published. Until it's published
+// a post is only listed in its author's data/users/<id>/drafts.json: it isn't in posts.json,
+// the feed, tag or search indexes, nobody else can open it, and no one has been notified.
+// publishPost() does all of that at once, with createdAt set to the moment of publishing.
+// scheduledPosts (postId -> publishAt in ms) is rebuilt from the drafts files at startup and
+// checked every SCHEDULER_INTERVAL_MS, so posts that fell due while the server was down go
+// out on the first check after it comes back.
+const SCHEDULER_INTERVAL_MS = 30 * 1000;
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+const PUBLISH_AT_RULE = v.date({ label: 'เวลาเผยแพร่' });
+const scheduledPosts = new Map();
+let publishingDuePosts = false;
+
+function isPublished(post) {
+  return !post.status || post.status === 'published';
+}
+
+/* Problem with a requested publish time as [code, msg], or null if it's usable */
+function checkPublishAt(publishAt) {
+  const t = Date.parse(publishAt);
+  if (t <= Date.now()) return ['too_small', 'เวลาเผยแพร่ต้องเป็นเวลาในอนาคต'];
+  if (t > Date.now() + MAX_SCHEDULE_AHEAD_MS) return ['too_large', 'ตั้งเวลาเผยแพร่ล่วงหน้าได้ไม่เกิน 1 ปี'];
+  return null;
+}
+
+async function addDraft(userId, postId) {
+  await updateJson(getDraftsPath(userId), [], ids => { if (!ids.includes(postId)) ids.unshift(postId); });
+}
+async function removeDraft(userId, postId) {
+  await updateJson(getDraftsPath(userId), [], ids => ids.filter(id => id !== postId));
+}
+
+/* A post going public: author's post list, indexes, then followers + mentioned users */
+async function announcePost(post, author) {
+  const postId = post.id;
+  await updateJson(path.join(getUserDir(author.id), 'posts.json'), [], userPosts => { userPosts.unshift(postId); });
+  await addToPostIndex(post);
+  await setPostTags(postId, post.tags);
+  indexPostForSearch(post);
+
+  // notify followers
+  try {
+    const followers = getFollowersForUser(author.id) || [];
+    for (let fid of followers) {
+      const snippet = (post.title && post.title.trim().length > 0) ? post.title : (post.content || '').slice(0, 60);
+      await addNotificationToUser(fid, 'new_post', `${author.username} โพสต์ใหม่: "${snippet}"`, { postId, actorId: author.id, actorUsername: author.username });
+    }
+  } catch (e) { console.error('notify followers error', e && e.message) }
+  await notifyMentions(post, [], author, { postId }, 'โพสต์');
+}
+
+/**
+ * Publish a draft or scheduled post now. With { due: true } (the scheduler) only a
+ * scheduled post whose time has come is published, so a post that was moved back to draft
+ * or rescheduled in the meantime stays put. Returns the published post, or null.
+ */
+async function publishPost(postId, { due = false } = {}) {
+  const postPath = getPostPath(postId);
+  if (!fs.existsSync(postPath)) {
+    scheduledPosts.delete(postId);
+    return null;
+  }
+  let published = null;
+  await updateJson(postPath, null, post => {
+    if (!post || isPublished(post)) return;
+    if (due && !(post.status === 'scheduled' && Date.parse(post.publishAt) <= Date.now())) return;
+    const now = new Date().toISOString();
+    post.status = 'published';
+    delete post.publishAt;
+    post.createdAt = now;
+    post.updatedAt = now;
+    published = post;
+  });
+  if (!published) return null;
+  scheduledPosts.delete(postId);
+  const authorId = usernameIndex.get(published.username);
+  if (!authorId) return published;
+  await removeDraft(authorId, postId);
+  await announcePost(withMentions(published), { id: authorId, username: published.username });
+  return published;
+}
+
+/*
+ Call after rebuildUserIndex(), before the server takes requests. A scheduled post whose
+ publishAt can't be read (edited by hand, damaged file) would never come due; it goes back
+ to being a draft, so the author can schedule it again.
+ */
+function rebuildScheduledPosts() {
+  scheduledPosts.clear();
+  for (const userId of usernameIndex.values()) {
+    for (const postId of readJsonArray(getDraftsPath(userId))) {
+      try {
+        const p = readJson(getPostPath(postId));
+        if (!p || p.status !== 'scheduled') continue;
+        const at = Date.parse(p.publishAt);
+        if (Number.isFinite(at)) {
+          scheduledPosts.set(postId, at);
+          continue;
+        }
+        console.warn('rebuildScheduledPosts: invalid publishAt', JSON.stringify(p.publishAt), 'on post', postId, '- moved back to drafts');
+        p.status = 'draft';
+        delete p.publishAt;
+        writeJson(getPostPath(postId), p);
+      } catch (e) { console.error('rebuildScheduledPosts: cannot read post', postId, e && e.message); }
+    }
+  }
+}
+
+/* Publish every scheduled post that is due; a suspended author's posts wait until the suspension ends */
+async function publishDuePosts() {
+  if (publishingDuePosts) return;
+  publishingDuePosts = true;
+  try {
+    const now = Date.now();
+    for (const [postId, at] of Array.from(scheduledPosts)) {
+      if (at > now) continue;
+      try {
+        const post = readJson(getPostPath(postId));
+        const authorId = post && usernameIndex.get(post.username);
+        if (authorId && isSuspended(authorId)) continue;
+        const published = await publishPost(postId, { due: true });
+        if (!published && (!post || post.status !== 'scheduled')) scheduledPosts.delete(postId);
+      } catch (e) { console.error('scheduled publish failed', postId, e && e.message); }
+    }
+  } finally {
+    publishingDuePosts = false;
+  }
+}
+
+function startPostScheduler() {
+  publishDuePosts();
+  const timer = setInterval(publishDuePosts, SCHEDULER_INTERVAL_MS);
+  if (timer.unref) timer.unref();
+}
+
+/* ------------------------
+   Post revisions
+   ------------------------ */
+// Every edit of a published post that changes its title, text or images first copies the
+// version being replaced into data/posts/<id>/revisions.json:
+//   [{ rev, title, content, images, createdAt, replacedAt }]   oldest first, rev 1, 2, ...
+// createdAt is when that version went up, replacedAt when the edit replaced it. The
+// current post is version post.revisionCount + 1; post.editedAt is the time of the last
+// such edit. Drafts get no history: it starts once the post is published.
+// Versions keep their images as { url, alt, caption }; the files of an image taken off
+// the post stay on disk while a version still shows it (pruneUnusedPostImages), and go
+// when the post is deleted.
+
+function revisionSnapshot(post) {
+  return { title: post.title || '', content: post.content || '', images: postImageList(post), createdAt: post.editedAt || post.createdAt };
+}
+function sameVersion(a, b) {
+  return a.title === b.title && a.content === b.content && JSON.stringify(a.images) === JSON.stringify(b.images);
+}
+
+/*
+ For post.json mutators: `before` is revisionSnapshot(post) from before the change. If the
+ change is visible, store `before` as a revision and mark the post edited. (The revisions
+ file is only written here, inside the post.json lock, so revision numbers stay in order.)
+ */
+async function recordRevision(post, before) {
+  if (!isPublished(post) || sameVersion(before, revisionSnapshot(post))) return;
+  const now = new Date().toISOString();
+  const revs = await updateJson(getPostRevisionsPath(post.id), [], list => {
+    list.push({ rev: list.length + 1, ...before, replacedAt: now });
+  });
+  post.revisionCount = revs.length;
+  post.editedAt = now;
+}
+
+/* Versions of a post oldest first, the current one last with current: true */
+function postVersions(post) {
+  const versions = readJsonArray(getPostRevisionsPath(post.id));
+  versions.push({ rev: versions.length + 1, ...revisionSnapshot(post), replacedAt: null, current: true });
+  return versions;
+}
+
+/* What changed in the images between two versions: added / removed / described (alt or caption) / reordered */
+function diffImages(from, to) {
+  const oldByUrl = new Map(from.map(img => [img.url, img]));
+  const newUrls = new Set(to.map(img => img.url));
+  const kept = to.filter(img => oldByUrl.has(img.url)).map(img => img.url);
+  const keptBefore = from.filter(img => newUrls.has(img.url)).map(img => img.url);
+  return {
+    added: to.filter(img => !oldByUrl.has(img.url)),
+    removed: from.filter(img => !newUrls.has(img.url)),
+    described: to.flatMap(img => {
+      const old = oldByUrl.get(img.url);
+      if (!old || (old.alt === img.alt && old.caption === img.caption)) return [];
+      return [{ url: img.url, before: { alt: old.alt, caption: old.caption }, after: { alt: img.alt, caption: img.caption } }];
+    }),
+    reordered: kept.join('\n') !== keptBefore.join('\n')
+  };
+}
+
 /* ------------------------
    Posts & Comments (support multiple images, dedupe incoming uploads)
    ------------------------ */
+// Uploaded images are stored in several sizes; post.renditions maps each URL in
+// post.images to its manifest from lib/image-renditions.js. Images from before renditions
+// existed have none until `npm run backfill:images` has run; the API then only has their URL.
+const POST_IMAGE_SIZES = { ...DEFAULT_IMAGE_SIZES, full: config.imageMaxDimension };
+
+/*
+ post.images is [{ url, alt, caption }] in display order, and post.image the first url (for
+ older clients). Posts from before alt text stored bare URLs, the oldest only `image`.
+ */
+function postImageList(post) {
+  const list = Array.isArray(post.images) ? post.images : (post.image ? [post.image] : []);
+  return list.filter(Boolean).map(img => (typeof img === 'string'
+    ? { url: img, alt: '', caption: '' }
+    : { url: img.url, alt: img.alt || '', caption: img.caption || '' }));
+}
+
+/* post.images as the API shows them: [{ src, alt, caption, width, height, variants }] */
+function postMedia(post) {
+  return postImageList(post).map(({ url: src, alt, caption }) => {
+    const manifest = post.renditions && post.renditions[src];
+    if (!manifest) return { src, alt, caption, width: null, height: null, variants: [] };
+    return { src, alt, caption, width: manifest.width, height: manifest.height, variants: manifest.variants };
+  });
+}
 
 /**
  * Compute MD5 fingerprint for a buffer
@@ -697,7 +2277,10 @@ function fingerprintBuffer(buf) {
 /**
  * Helper: save uploaded files (array of multer file objects) into post images directory.
  * Deduplicates incoming files by fingerprint+size+originalname to avoid double-saving the same buffer.
- * Returns array of public paths (e.g., /data/posts/{postId}/images/image-0.jpg)
+ * Each image is written in several sizes (see lib/image-renditions.js); the files must have
+ * passed checkUploadedImages.
+ * Returns [{ url, renditions }]: url is the full size JPEG (e.g. /data/posts/{postId}/images/image-0.jpg),
+ * renditions its manifest.
  */
 async function saveUploadedPostFiles(postId, uploadedFiles) {
   if (!uploadedFiles || !uploadedFiles.length) return [];
@@ -719,37 +2302,88 @@ async function saveUploadedPostFiles(postId, uploadedFiles) {
   }
 
   const imgDir = getPostImagesDir(postId);
-  const savedPaths = [];
+  const saved = [];
   let idx = 0;
   for (const f of uniqueMap.values()) {
     const filename = `image-${Date.now()}-${idx}.jpg`;
     idx++;
-    const dest = path.join(imgDir, filename);
+    const renditions = await writeRenditions(f.buffer, { dir: imgDir, fileName: filename, urlPrefix: postImagesUrl(postId), sizes: POST_IMAGE_SIZES });
+    saved.push({ url: `${postImagesUrl(postId)}/${filename}`, renditions });
+  }
+  return saved;
+}
+
+function postImagesUrl(postId) {
+  return `/data/posts/${postId}/images`;
+}
+
+/* Delete an image of a post from disk, renditions included */
+function removePostImageFiles(post, url) {
+  const manifest = post.renditions && post.renditions[url];
+  for (const u of [url, ...renditionUrls(manifest)]) {
+    const local = dataUrlToPath(u);
     try {
-      const img = await Jimp.read(f.buffer);
-      await applyExifOrientationIfNeeded(f.buffer, img);
-      const MAX = 1200;
-      if (img.bitmap.width > MAX || img.bitmap.height > MAX) {
-        await img.clone().scaleToFit(MAX, MAX).quality(88).writeAsync(dest);
-      } else {
-        await img.clone().quality(88).writeAsync(dest);
-      }
-    } catch (e) {
-      // fallback write raw buffer
-      try { fs.writeFileSync(dest, f.buffer); } catch (e2) { console.error('save fallback failed', e2 && e2.message); }
-    }
-    savedPaths.push(`/data/posts/${postId}/images/${filename}`);
+      if (local && fs.existsSync(local)) fs.unlinkSync(local);
+    } catch (e) { /* ignore unlink errors */ }
+  }
+}
+
+/* Index in `images` of the one a deleteImages entry names: by exact URL, by file name
+   suffix, or by position; -1 if none */
+function findPostImageIndex(images, d) {
+  let idx = images.findIndex(img => img.url === d);
+  if (idx === -1) {
+    idx = images.findIndex(({ url: u }) => {
+      const p = path.basename(u);
+      if (!p) return false;
+      return (p === d) || u.endsWith(d) || p === String(d);
+    });
+  }
+  if (idx === -1 && !isNaN(Number(d))) {
+    const nd = Number(d);
+    if (nd >= 0 && nd < images.length) idx = nd;
+  }
+  return idx;
+}
+
+/*
+ For post.json mutators, after recordRevision: delete the files and manifests of the
+ `urls` taken off the post, except those still shown by the post or by a version in its
+ edit history (restoring that version brings them back). The rest go with the post.
+ */
+function pruneUnusedPostImages(post, urls) {
+  if (!urls.length) return;
+  const inUse = new Set(postImageList(post).map(img => img.url));
+  for (const rev of readJsonArray(getPostRevisionsPath(post.id))) {
+    for (const img of rev.images || []) inUse.add(img.url);
+  }
+  for (const url of urls) {
+    if (inUse.has(url)) continue;
+    removePostImageFiles(post, url);
+    if (post.renditions) delete post.renditions[url];
   }
-  return savedPaths;
 }
 
 // Create post (now supports multiple images)
-app.post('/api/post/create', authMiddleware, uploadMemory.fields([{ name: 'postImage', maxCount: 20 }, { name: 'postImages[]', maxCount: 20 }]), async (req, res) => {
+const POST_TITLE_RULE = v.string({ label: 'หัวข้อ', max: POST_TITLE_MAX_LENGTH, optional: true, allowEmpty: true });
+
+// draft=true keeps the post private to the author; publishAt (ISO time, in the future)
+// schedules it instead. Without either it's published right away.
+app.post('/api/post/create', authMiddleware, requireVerified, rateLimit('post'), uploadPostImages, validateRequest({
+  body: {
+    title: POST_TITLE_RULE,
+    content: v.string({ label: 'เนื้อหา', max: POST_CONTENT_MAX_LENGTH, trim: false }),
+    draft: v.boolean({ optional: true, default: false }),
+    publishAt: v.date({ label: 'เวลาเผยแพร่', optional: true })
+  }
+}), async (req, res) => {
+  const { title, content, draft, publishAt } = req.body;
+  const publishAtError = publishAt && checkPublishAt(publishAt);
+  if (publishAtError) return sendFieldError(res, 'publishAt', publishAtError[0], publishAtError[1]);
+  const status = publishAt ? 'scheduled' : (draft ? 'draft' : 'published');
   try {
     const userId = req.user.id;
     const username = req.user.username;
-    const { title, content } = req.body;
-    if (!content) return res.json({ success: false, msg: 'Missing content' });
 
     const postId = uuidv4();
     const postDir = getPostDir(postId);
@@ -765,10 +2399,9 @@ app.post('/api/post/create', authMiddleware, uploadMemory.fields([{ name: 'postI
       });
     }
 
-    let images = [];
-    if (files.length > 0) {
-      images = await saveUploadedPostFiles(postId, files);
-    }
+    const saved = files.length > 0 ? await saveUploadedPostFiles(postId, files) : [];
+    const images = saved.map(img => ({ url: img.url, alt: '', caption: '' }));
+    const renditions = Object.fromEntries(saved.map(img => [img.url, img.renditions]));
 
     // legacy compatibility: keep single 'image' field pointing to first image
     const post = {
@@ -776,101 +2409,67 @@ app.post('/api/post/create', authMiddleware, uploadMemory.fields([{ name: 'postI
       username,
       title: title || '',
       content,
-      image: images.length ? images[0] : '',
+      image: images.length ? images[0].url : '',
       images: images,
+      renditions,
+      mentions: findMentions(content, userId),
+      tags: extractTags(title, content),
+      status,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
-    fs.writeFileSync(getPostPath(postId), JSON.stringify(post, null, 2), 'utf8');
-    fs.writeFileSync(getPostCommentsPath(postId), '[]', 'utf8');
-
-    // add post id to user's posts.json
-    const userPostsPath = path.join(getUserDir(userId), 'posts.json');
-    let userPosts = [];
-    if (fs.existsSync(userPostsPath)) userPosts = JSON.parse(fs.readFileSync(userPostsPath, 'utf8'));
-    userPosts.unshift(postId);
-    fs.writeFileSync(userPostsPath, JSON.stringify(userPosts, null, 2), 'utf8');
+    if (publishAt) post.publishAt = publishAt;
+    writeJson(getPostPath(postId), post);
+    writeJson(getPostCommentsPath(postId), []);
 
-    // notify followers
-    try {
-      const followers = getFollowersForUser(userId) || [];
-      for (let fid of followers) {
-        const snippet = (post.title && post.title.trim().length > 0) ? post.title : (post.content || '').slice(0, 60);
-        addNotificationToUser(fid, 'new_post', `${username} โพสต์ใหม่: "${snippet}"`, { postId, actorId: userId, actorUsername: username });
-      }
-    } catch (e) { console.error('notify followers error', e && e.message) }
+    if (status === 'published') {
+      await announcePost(post, req.user);
+    } else {
+      await addDraft(userId, postId);
+      if (publishAt) scheduledPosts.set(postId, Date.parse(publishAt));
+    }
 
-    res.json({ success: true, postId });
+    res.json({ success: true, postId, status, publishAt: post.publishAt || null });
   } catch (e) {
     console.error('create post error', e && e.message);
-    res.status(500).json({ success: false, msg: 'Create failed' });
+    sendError(res, 'INTERNAL', 'สร้างโพสต์ไม่สำเร็จ');
   }
 });
 
-// Edit post: accept new files (many) and deleteImages[] markers to remove existing images
-app.post('/api/post/:id/edit', authMiddleware, uploadMemory.fields([{ name: 'postImage', maxCount: 20 }, { name: 'postImages[]', maxCount: 20 }]), async (req, res) => {
+// Edit post: accept new files (many) and deleteImages[] markers to remove existing images.
+// title / content left out (or a blank content) stay as they are.
+const DELETE_IMAGES_RULE = v.array(v.string({ max: 500 }), { optional: true, default: [], max: 100 });
+// JSON list of the post's images in the order wanted, with their alt text and caption;
+// an alt or caption left out stays as it is, an empty one clears it
+const POST_IMAGES_RULE = v.json(v.array(v.object({
+  url: v.string({ max: 500 }),
+  alt: v.string({ label: 'คำอธิบายรูป', max: IMAGE_ALT_MAX_LENGTH, optional: true, allowEmpty: true }),
+  caption: v.string({ label: 'คำบรรยายใต้รูป', max: IMAGE_CAPTION_MAX_LENGTH, optional: true, allowEmpty: true })
+}), { max: 100 }), { label: 'รูปภาพ', optional: true });
+
+app.post('/api/post/:id/edit', authMiddleware, uploadPostImages, validateRequest({
+  params: ID_PARAMS,
+  body: {
+    title: POST_TITLE_RULE,
+    content: v.string({ label: 'เนื้อหา', max: POST_CONTENT_MAX_LENGTH, trim: false, optional: true }),
+    // the form field is deleteImages[]; depending on the parser it arrives under either name
+    deleteImages: DELETE_IMAGES_RULE,
+    'deleteImages[]': DELETE_IMAGES_RULE,
+    images: POST_IMAGES_RULE
+  }
+}), async (req, res) => {
   try {
-    const userId = req.user.id;
     const username = req.user.username;
     const postId = req.params.id;
     const postPath = getPostPath(postId);
-    if (!fs.existsSync(postPath)) return res.json({ success: false, msg: 'Not found' });
-    const post = JSON.parse(fs.readFileSync(postPath, 'utf8'));
-    if (post.username !== username) return res.json({ success: false, msg: 'Not owner' });
-
-    const { title, content } = req.body;
-    if (typeof content !== 'undefined' && content !== null) post.content = content;
-    if (typeof title !== 'undefined') post.title = title || '';
-
-    // normalize existing images array
-    if (!Array.isArray(post.images)) {
-      post.images = [];
-      if (post.image) post.images.push(post.image);
-    }
+    const existing = readJson(postPath);
+    if (!existing) return sendError(res, 'NOT_FOUND', 'ไม่พบโพสต์');
+    if (existing.username !== username) return sendError(res, 'NOT_OWNER');
 
-    // handle deleteImages[] from client (may be string or array)
-    let deletes = [];
-    if (req.body) {
-      if (Array.isArray(req.body['deleteImages[]'])) deletes = req.body['deleteImages[]'];
-      else if (Array.isArray(req.body.deleteImages)) deletes = req.body.deleteImages;
-      else if (typeof req.body['deleteImages[]'] === 'string') deletes = [req.body['deleteImages[]']];
-      else if (typeof req.body.deleteImages === 'string') deletes = [req.body.deleteImages];
-    }
-    // perform deletion: match by exact URL, by filename suffix, or by index
-    if (deletes.length > 0) {
-      for (const d of deletes) {
-        try {
-          // try to find by exact match first
-          let idx = post.images.findIndex(u => u === d);
-          if (idx === -1) {
-            // try match by filename suffix
-            idx = post.images.findIndex(u => {
-              try {
-                const p = path.basename(u);
-                if (!p) return false;
-                return (p === d) || u.endsWith(d) || p === String(d);
-              } catch (e) { return false; }
-            });
-          }
-          // if still not found but d is numeric index
-          if (idx === -1 && !isNaN(Number(d))) {
-            const nd = Number(d);
-            if (nd >= 0 && nd < post.images.length) idx = nd;
-          }
-          if (idx !== -1) {
-            // remove file from disk
-            const urlPath = post.images[idx];
-            try {
-              const local = path.join(__dirname, urlPath);
-              if (fs.existsSync(local)) fs.unlinkSync(local);
-            } catch (e) { /* ignore unlink errors */ }
-            post.images.splice(idx, 1);
-          }
-        } catch (e) { console.warn('deleteImages handling error', e && e.message); }
-      }
-    }
+    const { title, content, images: imageEdits } = req.body;
+    const deletes = [...req.body.deleteImages, ...req.body['deleteImages[]']];
 
-    // collect uploaded new files and append them
+    // collect uploaded new files; they're written to disk before the post.json update
     const files = [];
     if (req.files) {
       if (Array.isArray(req.files['postImage'])) files.push(...req.files['postImage']);
@@ -879,171 +2478,890 @@ app.post('/api/post/:id/edit', authMiddleware, uploadMemory.fields([{ name: 'pos
         if (!['postImage', 'postImages[]'].includes(k) && Array.isArray(req.files[k])) files.push(...req.files[k]);
       });
     }
-
-    if (files.length > 0) {
-      const newPaths = await saveUploadedPostFiles(postId, files);
-      post.images = post.images.concat(newPaths);
+    // the post may hold maxPostImages images in all, counting the ones this edit removes
+    if (files.length) {
+      const remaining = postImageList(existing);
+      for (const d of deletes) {
+        const idx = findPostImageIndex(remaining, d);
+        if (idx !== -1) remaining.splice(idx, 1);
+      }
+      if (remaining.length + files.length > config.maxPostImages) {
+        return sendFieldError(res, 'postImages', 'not_allowed', `โพสต์หนึ่งมีรูปได้ไม่เกิน ${config.maxPostImages} รูป (มีอยู่แล้ว ${remaining.length} รูป)`);
+      }
     }
+    const saved = files.length > 0 ? await saveUploadedPostFiles(postId, files) : [];
+
+    let previousMentions = [];
+    const updated = await updateJson(postPath, null, async post => {
+      const before = revisionSnapshot(post);
+      previousMentions = withMentions(post).mentions;
+      if (content !== undefined) {
+        post.content = content;
+        post.mentions = findMentions(content, req.user.id);
+      }
+      if (title !== undefined) post.title = title;
+      post.tags = extractTags(post.title, post.content);
 
-    // maintain legacy field
-    post.image = post.images.length ? post.images[0] : '';
+      // normalize existing images array
+      post.images = postImageList(post);
 
-    post.updatedAt = new Date().toISOString();
-    fs.writeFileSync(postPath, JSON.stringify(post, null, 2), 'utf8');
-    res.json({ success: true });
+      // perform deletion: match by exact URL, by filename suffix, or by index. The files
+      // stay while an older version still shows the image (see pruneUnusedPostImages)
+      const dropped = [];
+      for (const d of deletes) {
+        const idx = findPostImageIndex(post.images, d);
+        if (idx !== -1) dropped.push(post.images.splice(idx, 1)[0].url);
+      }
+
+      // reorder / describe; images the list leaves out keep their order after the listed
+      // ones, URLs that aren't on the post (deleted meanwhile) are skipped
+      if (imageEdits) {
+        const byUrl = new Map(post.images.map(img => [img.url, img]));
+        const ordered = [];
+        for (const edit of imageEdits) {
+          const img = byUrl.get(edit.url);
+          if (!img) continue;
+          byUrl.delete(edit.url);
+          if (edit.alt !== undefined) img.alt = edit.alt;
+          if (edit.caption !== undefined) img.caption = edit.caption;
+          ordered.push(img);
+        }
+        post.images = [...ordered, ...byUrl.values()];
+      }
+
+      post.images = post.images.concat(saved.map(img => ({ url: img.url, alt: '', caption: '' })));
+      post.renditions = { ...(post.renditions || {}), ...Object.fromEntries(saved.map(img => [img.url, img.renditions])) };
+
+      // maintain legacy field
+      post.image = post.images.length ? post.images[0].url : '';
+
+      post.updatedAt = new Date().toISOString();
+      await recordRevision(post, before);
+      pruneUnusedPostImages(post, dropped);
+    });
+    // drafts get indexed and announced when they're published
+    if (isPublished(updated)) {
+      await setPostTags(postId, updated.tags);
+      indexPostForSearch(updated);
+      await notifyMentions(updated, previousMentions, req.user, { postId }, 'โพสต์');
+    }
+    res.json({ success: true, mentions: updated.mentions, tags: updated.tags });
   } catch (e) {
     console.error('edit post error', e && e.message);
-    res.status(500).json({ success: false, msg: 'Edit failed' });
+    sendError(res, 'INTERNAL', 'แก้ไขโพสต์ไม่สำเร็จ');
   }
 });
 
-// Delete post (remove folder including images)
-app.delete('/api/post/:id', authMiddleware, (req, res) => {
-  const userId = req.user.id;
-  const username = req.user.username;
-  const postId = req.params.id;
-  const postPath = getPostPath(postId);
-  if (!fs.existsSync(postPath)) return res.json({ success: false, msg: 'Not found' });
-  const post = JSON.parse(fs.readFileSync(postPath, 'utf8'));
-  if (post.username !== username) return res.json({ success: false, msg: 'Not owner' });
-
+/* Remove a post and everything pointing at it (owner's posts.json, indexes, bookmarks) */
+async function deletePost(post) {
+  const postId = post.id;
   try {
     fs.rmSync(getPostDir(postId), { recursive: true, force: true });
   } catch (e) { /* ignore */ }
 
-  // remove post id from user posts.json
-  const userPostsPath = path.join(getUserDir(userId), 'posts.json');
-  let userPosts = [];
-  if (fs.existsSync(userPostsPath)) userPosts = JSON.parse(fs.readFileSync(userPostsPath, 'utf8'));
-  userPosts = userPosts.filter(pid => pid !== postId);
-  fs.writeFileSync(userPostsPath, JSON.stringify(userPosts, null, 2), 'utf8');
+  // remove post id from the owner's posts.json
+  const ownerId = usernameIndex.get(post.username);
+  if (ownerId) await updateJson(path.join(getUserDir(ownerId), 'posts.json'), [], userPosts => userPosts.filter(pid => pid !== postId));
+  if (ownerId && !isPublished(post)) await removeDraft(ownerId, postId);
+  scheduledPosts.delete(postId);
+  await removeFromPostIndex(postId);
+  await setPostTags(postId, []);
+  unindexPostForSearch(postId);
+  await removePostFromAllBookmarks(postId);
+}
 
+app.delete('/api/post/:id', authMiddleware, validateRequest({ params: ID_PARAMS }), async (req, res) => {
+  const username = req.user.username;
+  const postId = req.params.id;
+  const post = readJson(getPostPath(postId));
+  if (!post) return sendError(res, 'NOT_FOUND', 'ไม่พบโพสต์');
+  if (post.username !== username) return sendError(res, 'NOT_OWNER');
+
+  await deletePost(post);
   res.json({ success: true });
 });
 
-app.get('/api/post/:id', (req, res) => {
+// The signed-in user's drafts and scheduled posts: scheduled first (soonest first), then
+// drafts, most recently edited first
+app.get('/api/drafts', authMiddleware, (req, res) => {
+  const posts = [];
+  for (const postId of readJsonArray(getDraftsPath(req.user.id))) {
+    const p = loadPostForResponse(postId);
+    if (p && !isPublished(p) && p.username === req.user.username) posts.push(p);
+  }
+  const rank = p => (p.status === 'scheduled' ? 0 : 1);
+  posts.sort((a, b) => rank(a) - rank(b)
+    || (a.status === 'scheduled' ? Date.parse(a.publishAt) - Date.parse(b.publishAt) : Date.parse(b.updatedAt) - Date.parse(a.updatedAt)));
+  res.json({ success: true, posts: posts.map(p => presentPost(p, req.user.id)) });
+});
+
+/* The author's own unpublished post for the routes below, or sends the error and returns null */
+function loadOwnDraft(req, res) {
+  const post = readJson(getPostPath(req.params.id));
+  if (!post) { sendError(res, 'NOT_FOUND', 'ไม่พบโพสต์'); return null; }
+  if (post.username !== req.user.username) { sendError(res, 'NOT_OWNER'); return null; }
+  if (isPublished(post)) { sendError(res, 'INVALID_ACTION', 'โพสต์นี้เผยแพร่แล้ว'); return null; }
+  return post;
+}
+
+app.post('/api/post/:id/publish', authMiddleware, requireVerified, validateRequest({ params: ID_PARAMS }), async (req, res) => {
+  if (!loadOwnDraft(req, res)) return;
+  const published = await publishPost(req.params.id);
+  if (!published) return sendError(res, 'INVALID_ACTION', 'โพสต์นี้เผยแพร่แล้ว');
+  res.json({ success: true, status: published.status, createdAt: published.createdAt });
+});
+
+// Schedule a draft, or move a scheduled post to another time: body { publishAt }
+app.post('/api/post/:id/schedule', authMiddleware, requireVerified, validateRequest({
+  params: ID_PARAMS,
+  body: { publishAt: PUBLISH_AT_RULE }
+}), async (req, res) => {
+  const { publishAt } = req.body;
+  const error = checkPublishAt(publishAt);
+  if (error) return sendFieldError(res, 'publishAt', error[0], error[1]);
+  if (!loadOwnDraft(req, res)) return;
+  const post = await updateJson(getPostPath(req.params.id), null, p => {
+    if (isPublished(p)) return;
+    p.status = 'scheduled';
+    p.publishAt = publishAt;
+    p.updatedAt = new Date().toISOString();
+  });
+  if (isPublished(post)) return sendError(res, 'INVALID_ACTION', 'โพสต์นี้เผยแพร่แล้ว');
+  scheduledPosts.set(post.id, Date.parse(publishAt));
+  res.json({ success: true, status: post.status, publishAt: post.publishAt });
+});
+
+// Back to draft: the post stays private until published or scheduled again
+app.post('/api/post/:id/unschedule', authMiddleware, validateRequest({ params: ID_PARAMS }), async (req, res) => {
+  if (!loadOwnDraft(req, res)) return;
+  const post = await updateJson(getPostPath(req.params.id), null, p => {
+    if (isPublished(p)) return;
+    p.status = 'draft';
+    delete p.publishAt;
+    p.updatedAt = new Date().toISOString();
+  });
+  if (isPublished(post)) return sendError(res, 'INVALID_ACTION', 'โพสต์นี้เผยแพร่แล้ว');
+  scheduledPosts.delete(post.id);
+  res.json({ success: true, status: post.status });
+});
+
+app.get('/api/post/:id', validateRequest({ params: ID_PARAMS }), (req, res) => {
   const postId = req.params.id;
-  const postPath = getPostPath(postId);
-  if (!fs.existsSync(postPath)) return res.json({ success: false, msg: 'Not found' });
-  const post = JSON.parse(fs.readFileSync(postPath, 'utf8'));
-  let comments = [];
-  if (fs.existsSync(getPostCommentsPath(postId))) comments = JSON.parse(fs.readFileSync(getPostCommentsPath(postId), 'utf8'));
-  let myUsername = null;
-  const token = req.cookies.token;
-  if (token) {
-    try { myUsername = jwt.verify(token, SECRET).username; } catch {}
+  const post = readJson(getPostPath(postId));
+  if (!post) return sendError(res, 'NOT_FOUND', 'ไม่พบโพสต์');
+  const viewer = getOptionalUser(req);
+  const myUsername = viewer ? viewer.username : null;
+  const viewerId = viewer ? viewer.id : null;
+  if (viewerId && isBlockedEitherWay(viewerId, usernameIndex.get(post.username))) return sendError(res, 'NOT_FOUND', 'ไม่พบโพสต์');
+  if (!canSeePost(post, viewerId)) return sendError(res, 'NOT_FOUND', 'ไม่พบโพสต์');
+  const hidden = hiddenUsernamesFor(viewerId);
+  const all = readJsonArray(getPostCommentsPath(postId));
+  const comments = [];
+  for (const c of all) {
+    if (!hidden.has(c.username) && canSeeHidden(c, viewerId)) comments.push(presentReactions(withMentions(c), viewerId));
+    // keep an empty stand-in for a hidden comment that others replied to, so the thread holds
+    else if (all.some(x => x.parentId === c.id)) comments.push({ id: c.id, postId, parentId: c.parentId || null, depth: c.depth || 0, hidden: true, content: '', createdAt: c.createdAt });
   }
-  // Ensure backward compatibility: if post.images missing but post.image exists, synthesize images array
-  if (!Array.isArray(post.images)) {
-    post.images = [];
-    if (post.image) post.images.push(post.image);
+  // Ensure backward compatibility: bare URL or legacy single `image` posts get the object list
+  post.images = postImageList(post);
+  res.json({ success: true, post: presentPost(withMentions(post), viewerId), comments, owner: post.username, myUsername });
+});
+
+// Edit history, oldest version first; each entry is the version's metadata and an excerpt
+app.get('/api/post/:id/revisions', validateRequest({ params: ID_PARAMS }), (req, res) => {
+  const post = loadPostForViewer(req, res);
+  if (!post) return;
+  const revisions = postVersions(post).map(r => ({
+    rev: r.rev,
+    title: r.title,
+    excerpt: makeSnippet(r.content, [], 110).snippet,
+    imageCount: r.images.length,
+    createdAt: r.createdAt,
+    replacedAt: r.replacedAt,
+    current: !!r.current
+  }));
+  const viewer = getOptionalUser(req);
+  const canRestore = !!viewer && viewer.username === post.username && isPublished(post);
+  res.json({ success: true, postId: post.id, owner: post.username, title: post.title || '', canRestore, revisions });
+});
+
+// Diff between two versions: ?from=<rev>&to=<rev>; to defaults to the current version and
+// from to the one before it. title / content are lists of { op: equal|delete|insert, text }.
+app.get('/api/post/:id/revisions/diff', validateRequest({
+  params: ID_PARAMS,
+  query: {
+    from: v.number({ label: 'เวอร์ชัน', int: true, min: 1, optional: true }),
+    to: v.number({ label: 'เวอร์ชัน', int: true, min: 1, optional: true })
   }
-  res.json({ success: true, post, comments, owner: post.username, myUsername });
+}), (req, res) => {
+  const post = loadPostForViewer(req, res);
+  if (!post) return;
+  const versions = postVersions(post);
+  const to = req.valid.query.to || versions.length;
+  const from = req.valid.query.from || Math.max(1, to - 1);
+  if (from > versions.length || to > versions.length) return sendError(res, 'NOT_FOUND', 'ไม่พบเวอร์ชันที่ระบุ');
+  const a = versions[from - 1];
+  const b = versions[to - 1];
+  const meta = r => ({ rev: r.rev, createdAt: r.createdAt, replacedAt: r.replacedAt, current: !!r.current });
+  res.json({
+    success: true,
+    from: meta(a),
+    to: meta(b),
+    title: diffText(a.title, b.title),
+    content: diffText(a.content, b.content),
+    images: diffImages(a.images, b.images)
+  });
 });
 
-app.get('/api/posts', (req, res) => {
-  if (!fs.existsSync(POSTS_DIR)) return res.json({ success: true, posts: [] });
-  const postDirs = fs.readdirSync(POSTS_DIR);
-  let posts = [];
-  for (let postId of postDirs) {
-    const ppath = getPostPath(postId);
-    if (fs.existsSync(ppath)) {
-      try {
-        const p = JSON.parse(fs.readFileSync(ppath, 'utf8'));
-        if (!Array.isArray(p.images)) {
-          p.images = [];
-          if (p.image) p.images.push(p.image);
-        }
-        posts.push(p);
-      } catch {}
+// Author only: make an old version current again, with its title, text and images (order,
+// alt text and captions included). This is an edit like any other, so the version it
+// replaces goes into the history too.
+app.post('/api/post/:id/revisions/:rev/restore', authMiddleware, validateRequest({
+  params: { ...ID_PARAMS, rev: v.number({ label: 'เวอร์ชัน', int: true, min: 1 }) }
+}), async (req, res) => {
+  const postId = req.params.id;
+  const postPath = getPostPath(postId);
+  const existing = readJson(postPath);
+  if (!existing) return sendError(res, 'NOT_FOUND', 'ไม่พบโพสต์');
+  if (existing.username !== req.user.username) return sendError(res, 'NOT_OWNER');
+  const revs = readJsonArray(getPostRevisionsPath(postId));
+  const target = revs[req.valid.params.rev - 1];
+  if (!target) {
+    if (req.valid.params.rev === revs.length + 1) return sendError(res, 'INVALID_ACTION', 'เวอร์ชันนี้คือเวอร์ชันปัจจุบันอยู่แล้ว');
+    return sendError(res, 'NOT_FOUND', 'ไม่พบเวอร์ชันที่ระบุ');
+  }
+
+  try {
+    let previousMentions = [];
+    const updated = await updateJson(postPath, null, async post => {
+      const before = revisionSnapshot(post);
+      previousMentions = withMentions(post).mentions;
+      post.title = target.title;
+      post.content = target.content;
+      post.mentions = findMentions(post.content, req.user.id);
+      post.tags = extractTags(post.title, post.content);
+
+      post.images = target.images.map(img => ({ url: img.url, alt: img.alt, caption: img.caption }));
+      post.image = post.images.length ? post.images[0].url : '';
+
+      post.updatedAt = new Date().toISOString();
+      await recordRevision(post, before);
+    });
+    if (isPublished(updated)) {
+      await setPostTags(postId, updated.tags);
+      indexPostForSearch(updated);
+      await notifyMentions(updated, previousMentions, req.user, { postId }, 'โพสต์');
     }
+    res.json({ success: true, revisionCount: updated.revisionCount || 0 });
+  } catch (e) {
+    console.error('restore revision error', e && e.message);
+    sendError(res, 'INTERNAL', 'กู้คืนเวอร์ชันไม่สำเร็จ');
   }
-  posts.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-  res.json({ success: true, posts });
 });
 
-app.get('/api/user/:username/posts', (req, res) => {
+// Feed: ?limit=20&before=<nextCursor from the previous page>
+app.get('/api/posts', validateRequest({ query: PAGE_QUERY }), (req, res) => {
+  const viewer = getOptionalUser(req);
+  const hidden = hiddenUsernamesFor(viewer && viewer.id, { muted: true });
+  const entries = hidden.size ? postIndex.filter(e => !hidden.has(e.username)) : postIndex;
+  const { items, nextCursor } = paginateEntries(entries, req.query, e => loadVisiblePost(e.id, viewer && viewer.id));
+  res.json({ success: true, posts: items.map(p => presentPost(p, viewer && viewer.id)), nextCursor });
+});
+
+app.get('/api/user/:username/posts', validateRequest({ params: USERNAME_PARAMS, query: PAGE_QUERY }), (req, res) => {
   const user = findUserByUsername(req.params.username);
-  if (!user) return res.json({ success: false, posts: [] });
-  const userPostsPath = path.join(getUserDir(user._userId), 'posts.json');
-  let posts = [];
-  if (fs.existsSync(userPostsPath)) {
-    const postIds = JSON.parse(fs.readFileSync(userPostsPath, 'utf8'));
-    for (let pid of postIds) {
-      const postPath = getPostPath(pid);
-      if (fs.existsSync(postPath)) {
-        try {
-          const p = JSON.parse(fs.readFileSync(postPath, 'utf8'));
-          if (!Array.isArray(p.images)) {
-            p.images = [];
-            if (p.image) p.images.push(p.image);
-          }
-          posts.push(p);
-        } catch {}
+  if (!user) return sendError(res, 'NOT_FOUND', 'ไม่พบผู้ใช้');
+  const viewer = getOptionalUser(req);
+  if (viewer && isBlockedEitherWay(viewer.id, user._userId)) return res.json({ success: true, posts: [], nextCursor: null });
+  const entries = postIndex.filter(e => e.username === user.username);
+  const { items, nextCursor } = paginateEntries(entries, req.query, e => loadVisiblePost(e.id, viewer && viewer.id));
+  res.json({ success: true, posts: items.map(p => presentPost(p, viewer && viewer.id)), nextCursor });
+});
+
+// Home feed for the logged-in user: posts by accounts they follow plus their own,
+// same paging as /api/posts
+app.get('/api/feed', authMiddleware, validateRequest({ query: PAGE_QUERY }), (req, res) => {
+  const usernames = new Set([req.user.username]);
+  const muted = new Set(getMutedIds(req.user.id));
+  for (const id of getFollowingForUser(req.user.id)) {
+    if (muted.has(id)) continue;
+    try {
+      const u = readJson(getUserProfilePath(id));
+      if (u && u.username) usernames.add(u.username);
+    } catch { /* skip unreadable profiles */ }
+  }
+  const entries = postIndex.filter(e => usernames.has(e.username));
+  const { items, nextCursor } = paginateEntries(entries, req.query, e => loadVisiblePost(e.id, req.user.id));
+  res.json({ success: true, posts: items.map(p => presentPost(p, req.user.id)), nextCursor });
+});
+
+// Saved posts of the logged-in user, newest save first: ?limit=20&before=<nextCursor>
+app.get('/api/bookmarks', authMiddleware, validateRequest({ query: PAGE_QUERY }), (req, res) => {
+  const entries = readJsonArray(getBookmarksPath(req.user.id))
+    .map(b => ({ id: b.postId, createdAt: b.savedAt }))
+    .sort(comparePostEntries);
+  const { items, nextCursor } = paginateEntries(entries, req.query, e => {
+    const p = loadVisiblePost(e.id, req.user.id);
+    return p ? { ...presentPost(p, req.user.id), savedAt: e.createdAt } : null;
+  });
+  res.json({ success: true, posts: items, nextCursor });
+});
+app.post('/api/post/:id/save', authMiddleware, validateRequest({ params: ID_PARAMS }), async (req, res) => {
+  const postId = req.params.id;
+  if (!loadPostForViewer(req, res)) return;
+  await addBookmark(req.user.id, postId);
+  res.json({ success: true, bookmarked: true });
+});
+app.post('/api/post/:id/unsave', authMiddleware, validateRequest({ params: ID_PARAMS }), async (req, res) => {
+  await removeBookmark(req.user.id, req.params.id);
+  res.json({ success: true, bookmarked: false });
+});
+
+// Most-used tags: ?limit=20
+app.get('/api/tags/top', validateRequest({ query: { limit: PAGE_QUERY.limit } }), (req, res) => {
+  res.json({ success: true, tags: topTags(parsePageLimit(req.query.limit)) });
+});
+
+// Posts with a tag, same paging as the feed: ?limit=20&before=<nextCursor>
+app.get('/api/tags/:tag/posts', validateRequest({ params: { tag: v.string({ label: 'แท็ก', max: TAG_MAX_LENGTH + 1 }) }, query: PAGE_QUERY }), (req, res) => {
+  const tag = normalizeTag(req.params.tag);
+  const ids = tagIndex.get(tag);
+  if (!ids) return res.json({ success: true, tag, posts: [], nextCursor: null });
+  const viewer = getOptionalUser(req);
+  const hidden = hiddenUsernamesFor(viewer && viewer.id, { muted: true });
+  const entries = postIndex.filter(e => ids.has(e.id) && !hidden.has(e.username));
+  const { items, nextCursor } = paginateEntries(entries, req.query, e => loadVisiblePost(e.id, viewer && viewer.id));
+  res.json({ success: true, tag, posts: items.map(p => presentPost(p, viewer && viewer.id)), nextCursor });
+});
+
+// Search: ?q=...&type=posts|comments|users&limit=20&offset=0 (ranked, so paged by offset)
+app.get('/api/search', validateRequest({
+  query: {
+    q: v.string({ label: 'คำค้นหา', max: 200, optional: true }),
+    type: v.enum(SEARCH_TYPES, { label: 'type', optional: true }),
+    limit: PAGE_QUERY.limit,
+    offset: v.number({ label: 'offset', int: true, min: 0, optional: true })
+  }
+}), (req, res) => {
+  const q = String(req.query.q || '').trim();
+  const type = req.query.type ? SEARCH_TYPES[req.query.type] : null;
+  const limit = parsePageLimit(req.query.limit);
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+  if (!q) return res.json({ success: true, q, total: 0, results: [], nextOffset: null });
+
+  const viewer = getOptionalUser(req);
+  const { total, hits, terms } = searchIndex.search(q, { type, limit, offset });
+  // block/mute filtering happens per page, so a page can come back short of `limit`
+  const blocked = hiddenUsernamesFor(viewer && viewer.id);
+  const hiddenPosters = hiddenUsernamesFor(viewer && viewer.id, { muted: true });
+  const commentsCache = new Map();
+  const parentPosts = new Map(); // postId -> the post if the viewer may see it, else null
+  const results = [];
+  for (const hit of hits) {
+    try {
+      if (hit.type === 'post') {
+        const post = loadVisiblePost(hit.data.postId, viewer && viewer.id);
+        if (!post || hiddenPosters.has(post.username)) continue;
+        results.push({ type: 'post', score: hit.score, ...makeSnippet(post.content, terms), post: presentPost(post, viewer && viewer.id) });
+      } else if (hit.type === 'comment') {
+        const { postId, commentId } = hit.data;
+        // comments of a post the viewer can't see (hidden, draft, owner blocked) stay out too
+        if (!parentPosts.has(postId)) parentPosts.set(postId, loadVisiblePost(postId, viewer && viewer.id));
+        const parent = parentPosts.get(postId);
+        if (!parent || blocked.has(parent.username)) continue;
+        if (!commentsCache.has(postId)) commentsCache.set(postId, readJsonArray(getPostCommentsPath(postId)));
+        const c = commentsCache.get(postId).find(x => x.id === commentId && !x.deleted);
+        if (!c || blocked.has(c.username) || !canSeeHidden(c, viewer && viewer.id)) continue;
+        results.push({ type: 'comment', score: hit.score, ...makeSnippet(c.content, terms), comment: presentReactions(c, viewer && viewer.id) });
+      } else if (hit.type === 'user') {
+        const u = readJson(getUserProfilePath(hit.data.userId));
+        if (!u || blocked.has(u.username)) continue;
+        const user = { username: u.username, displayName: u.displayName, profilePic: u.profilePic };
+        results.push({ type: 'user', score: hit.score, ...makeSnippet(u.displayName || u.username, terms), user });
       }
-    }
+    } catch (e) { console.error('search result error', hit.key, e && e.message); }
   }
-  posts.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-  res.json({ success: true, posts });
+  const nextOffset = offset + hits.length < total ? offset + hits.length : null;
+  res.json({ success: true, q, total, results, nextOffset });
 });
 
-/* Comments (unchanged) */
-app.post('/api/post/:id/comment', authMiddleware, (req, res) => {
+/* Comments
+   comments.json stays a flat list; replies carry parentId + depth (top level = 0).
+   A deleted comment that still has replies is kept as a placeholder (deleted: true). */
+const MAX_COMMENT_DEPTH = 3;
+
+const COMMENT_CONTENT_RULE = v.string({ label: 'ความคิดเห็น', max: COMMENT_MAX_LENGTH, trim: false });
+
+app.post('/api/post/:id/comment', authMiddleware, requireVerified, rateLimit('comment'), validateRequest({
+  params: ID_PARAMS,
+  body: { content: COMMENT_CONTENT_RULE, parentId: v.string({ label: 'parentId', max: ID_MAX_LENGTH, optional: true }) }
+}), async (req, res) => {
   const postId = req.params.id;
   const username = req.user.username;
   const { content } = req.body;
-  if (!content) return res.json({ success: false, msg: 'Empty comment' });
-
-  const comment = { id: uuidv4(), postId, username, content, createdAt: new Date().toISOString() };
-  const commentsPath = getPostCommentsPath(postId);
-  let comments = [];
-  if (fs.existsSync(commentsPath)) comments = JSON.parse(fs.readFileSync(commentsPath, 'utf8'));
-  comments.push(comment);
-  fs.writeFileSync(commentsPath, JSON.stringify(comments, null, 2), 'utf8');
+  const parentId = req.body.parentId || null;
+  if (!loadPostForViewer(req, res)) return;
+
+  const comment = { id: uuidv4(), postId, parentId, depth: 0, username, content, mentions: findMentions(content, req.user.id), createdAt: new Date().toISOString() };
+  let parent = null;
+  let error = null; // [code, msg] for sendError
+  await updateJson(getPostCommentsPath(postId), [], comments => {
+    if (parentId) {
+      parent = comments.find(c => c.id === parentId);
+      if (!parent || parent.deleted) { error = ['NOT_FOUND', 'ไม่พบความคิดเห็นที่ต้องการตอบกลับ']; return; }
+      if (isBlockedEitherWay(req.user.id, usernameIndex.get(parent.username))) { error = ['BLOCKED']; return; }
+      comment.depth = (parent.depth || 0) + 1;
+      if (comment.depth > MAX_COMMENT_DEPTH) { error = ['INVALID_ACTION', 'ตอบกลับซ้อนกันได้ไม่เกิน ' + MAX_COMMENT_DEPTH + ' ชั้น']; return; }
+    }
+    comments.push(comment);
+  });
+  if (error) return sendError(res, ...error);
 
   // add to user's comments.json
   const userObj = findUserByUsername(username);
   if (userObj) {
-    const userCommentsPath = path.join(getUserDir(userObj._userId), 'comments.json');
-    let userComments = [];
-    if (fs.existsSync(userCommentsPath)) userComments = JSON.parse(fs.readFileSync(userCommentsPath, 'utf8'));
-    userComments.push(comment.id);
-    fs.writeFileSync(userCommentsPath, JSON.stringify(userComments, null, 2), 'utf8');
+    await updateJson(path.join(getUserDir(userObj._userId), 'comments.json'), [], userComments => { userComments.push(comment.id); });
   }
 
-  // notify post owner
+  // notify parent comment author (reply) and post owner (comment), at most once each
   try {
-    const post = JSON.parse(fs.readFileSync(getPostPath(postId), 'utf8'));
-    if (post && post.username && post.username !== username) {
+    const meta = { postId, commentId: comment.id, actorUsername: username };
+    if (parent && parent.username && parent.username !== username) {
+      const parentObj = findUserByUsername(parent.username);
+      if (parentObj) await addNotificationToUser(parentObj._userId, 'reply', `${username} ตอบกลับความคิดเห็นของคุณ`, meta);
+    }
+    const post = readJson(getPostPath(postId));
+    if (post && post.username && post.username !== username && (!parent || parent.username !== post.username)) {
       const ownerObj = findUserByUsername(post.username);
       if (ownerObj) {
-        addNotificationToUser(ownerObj._userId, 'comment', `${username} แสดงความคิดเห็นในโพสต์ของคุณ`, { postId, commentId: comment.id, actorUsername: username });
+        await addNotificationToUser(ownerObj._userId, 'comment', `${username} แสดงความคิดเห็นในโพสต์ของคุณ`, meta);
       }
     }
   } catch (e) { /* ignore */ }
+  await notifyMentions(comment, [], req.user, { postId, commentId: comment.id }, 'ความคิดเห็น');
 
-  res.json({ success: true });
+  indexPostCommentsForSearch(postId);
+  res.json({ success: true, commentId: comment.id, mentions: comment.mentions });
+});
+
+// Edit own comment: body { content }
+app.post('/api/post/:postId/comment/:commentId/edit', authMiddleware, validateRequest({
+  params: COMMENT_PARAMS,
+  body: { content: COMMENT_CONTENT_RULE }
+}), async (req, res) => {
+  const { postId, commentId } = req.params;
+  const username = req.user.username;
+  const { content } = req.body;
+  const commentsPath = getPostCommentsPath(postId);
+  if (!fs.existsSync(commentsPath)) return sendError(res, 'NOT_FOUND', 'ไม่พบโพสต์');
+
+  let error = null; // [code, msg] for sendError
+  let edited = null;
+  let previousMentions = [];
+  await updateJson(commentsPath, [], comments => {
+    const c = comments.find(x => x.id === commentId);
+    if (!c || c.deleted) { error = ['NOT_FOUND', 'ไม่พบความคิดเห็น']; return; }
+    if (c.username !== username) { error = ['NOT_OWNER']; return; }
+    previousMentions = withMentions(c).mentions;
+    c.content = content;
+    c.mentions = findMentions(content, req.user.id);
+    c.editedAt = new Date().toISOString();
+    edited = c;
+  });
+  if (error) return sendError(res, ...error);
+  await notifyMentions(edited, previousMentions, req.user, { postId, commentId }, 'ความคิดเห็น');
+  indexPostCommentsForSearch(postId);
+  res.json({ success: true, comment: presentReactions(edited, req.user.id) });
 });
 
-app.delete('/api/post/:postId/comment/:commentId', authMiddleware, (req, res) => {
+/**
+ * Delete a comment if `canDelete(comment)` allows it; returns whether it was removed.
+ * A comment with replies becomes a placeholder; placeholders left without replies are dropped.
+ */
+async function deleteComment(postId, commentId, canDelete) {
+  const commentsPath = getPostCommentsPath(postId);
+  if (!fs.existsSync(commentsPath)) return false;
+  let removed = false;
+  await updateJson(commentsPath, [], comments => {
+    const target = comments.find(c => c.id === commentId && !c.deleted);
+    if (!target || !canDelete(target)) return;
+    removed = true;
+    const hasReplies = id => comments.some(c => c.parentId === id);
+    if (hasReplies(target.id)) {
+      // keep a placeholder so the replies still hang off something
+      target.deleted = true;
+      target.content = '';
+      target.mentions = [];
+      target.deletedAt = new Date().toISOString();
+      delete target.reactionsByUser;
+      return;
+    }
+    let out = comments.filter(c => c.id !== target.id);
+    // drop placeholders left without replies
+    let parentId = target.parentId;
+    while (parentId) {
+      const parent = out.find(c => c.id === parentId);
+      if (!parent || !parent.deleted || out.some(c => c.parentId === parent.id)) break;
+      out = out.filter(c => c.id !== parent.id);
+      parentId = parent.parentId;
+    }
+    return out;
+  });
+  if (removed) indexPostCommentsForSearch(postId);
+  return removed;
+}
+
+app.delete('/api/post/:postId/comment/:commentId', authMiddleware, validateRequest({ params: COMMENT_PARAMS }), async (req, res) => {
   const { postId, commentId } = req.params;
   const username = req.user.username;
+  const existing = readJsonArray(getPostCommentsPath(postId)).find(c => c.id === commentId && !c.deleted);
+  if (!existing) return sendError(res, 'NOT_FOUND', 'ไม่พบความคิดเห็น');
+  if (existing.username !== username) return sendError(res, 'NOT_OWNER');
+  const removed = await deleteComment(postId, commentId, c => c.username === username);
+  if (!removed) return sendError(res, 'NOT_FOUND', 'ไม่พบความคิดเห็น');
+  res.json({ success: true });
+});
+
+/* Reactions: body { type } toggles that reaction for the current user */
+const REACTION_BODY = { type: v.enum(REACTIONS, { label: 'รีแอคชัน' }) };
+
+app.post('/api/post/:id/react', authMiddleware, validateRequest({ params: ID_PARAMS, body: REACTION_BODY }), async (req, res) => {
+  const postId = req.params.id;
+  const { type } = req.body;
+  const postPath = getPostPath(postId);
+  if (!loadPostForViewer(req, res)) return;
+
+  let mine = null;
+  const post = await updateJson(postPath, null, p => { mine = toggleReaction(p, req.user.id, type); });
+  if (mine) await notifyReaction(post.username, req.user, mine, { postId }, 'โพสต์');
+  res.json({ success: true, ...summarizeReactions(post, req.user.id) });
+});
+
+app.post('/api/post/:postId/comment/:commentId/react', authMiddleware, validateRequest({ params: COMMENT_PARAMS, body: REACTION_BODY }), async (req, res) => {
+  const { postId, commentId } = req.params;
+  const { type } = req.body;
   const commentsPath = getPostCommentsPath(postId);
-  if (!fs.existsSync(commentsPath)) return res.json({ success: false, msg: 'Not found' });
-  let comments = JSON.parse(fs.readFileSync(commentsPath, 'utf8'));
-  const idx = comments.findIndex(c => c.id === commentId && c.username === username);
-  if (idx === -1) return res.json({ success: false, msg: 'Not owner' });
-  comments.splice(idx, 1);
-  fs.writeFileSync(commentsPath, JSON.stringify(comments, null, 2), 'utf8');
+  if (!loadPostForViewer(req, res, postId)) return;
+
+  // comments the viewer can't see (hidden by a moderator, author blocked) can't be reacted to
+  let comment = null;
+  let mine = null;
+  await updateJson(commentsPath, [], comments => {
+    comment = comments.find(c => c.id === commentId && !c.deleted && canSeeHidden(c, req.user.id)
+      && !isBlockedEitherWay(req.user.id, usernameIndex.get(c.username))) || null;
+    if (comment) mine = toggleReaction(comment, req.user.id, type);
+  });
+  if (!comment) return sendError(res, 'NOT_FOUND', 'ไม่พบความคิดเห็น');
+  if (mine) await notifyReaction(comment.username, req.user, mine, { postId, commentId }, 'คอมเมนต์');
+  res.json({ success: true, ...summarizeReactions(comment, req.user.id) });
+});
+
+/* ------------------------
+   Reports + moderation queue
+   ------------------------ */
+// data/moderation/reports.json: every report, newest first. Open reports on the same target
+// are resolved together, so one decision answers everyone who reported it.
+// data/moderation/log.json: append-only record of every moderator action.
+const REPORTS_PATH = path.join(MODERATION_DIR, 'reports.json');
+const MOD_LOG_PATH = path.join(MODERATION_DIR, 'log.json');
+const REPORT_REASONS = {
+  spam: 'สแปม',
+  harassment: 'การกลั่นแกล้งหรือคุกคาม',
+  hate: 'ความเกลียดชัง',
+  nsfw: 'เนื้อหาไม่เหมาะสม',
+  misinformation: 'ข้อมูลเท็จ',
+  other: 'อื่นๆ'
+};
+const REPORT_TARGETS = ['post', 'comment', 'user'];
+const MOD_ACTIONS = ['dismiss', 'hide', 'delete', 'suspend'];
+
+function reportTargetKey(t) {
+  return t.type === 'comment' ? `comment:${t.postId}:${t.id}` : `${t.type}:${t.id}`;
+}
+
+/* Current state of a report target: { exists, username, excerpt, hidden, suspended } */
+function describeReportTarget(t) {
+  if (t.type === 'post') {
+    const post = readJson(getPostPath(t.id));
+    if (!post || !isPublished(post)) return { exists: false };
+    return { exists: true, username: post.username, excerpt: String(post.content || '').slice(0, 200), hidden: !!post.modHidden };
+  }
+  if (t.type === 'comment') {
+    const c = readJsonArray(getPostCommentsPath(t.postId)).find(x => x.id === t.id && !x.deleted);
+    if (!c) return { exists: false };
+    return { exists: true, username: c.username, excerpt: String(c.content || '').slice(0, 200), hidden: !!c.modHidden };
+  }
+  const userId = usernameIndex.get(t.id);
+  if (!userId) return { exists: false };
+  const profile = readJson(getUserProfilePath(userId)) || {};
+  return { exists: true, username: t.id, excerpt: profile.bio ? String(profile.bio).slice(0, 200) : '', suspended: isSuspended(userId) };
+}
+
+async function appendModLog(entry) {
+  const record = { id: uuidv4(), ...entry, createdAt: new Date().toISOString() };
+  await updateJson(MOD_LOG_PATH, [], log => { log.unshift(record); });
+  return record;
+}
+
+/* Set or clear modHidden on a post / comment; false when the target is gone */
+async function setModHidden(t, hidden, by, note) {
+  const mark = hidden ? { by, at: new Date().toISOString(), note: note || '' } : null;
+  let found = false;
+  const apply = item => {
+    found = true;
+    if (mark) item.modHidden = mark;
+    else delete item.modHidden;
+  };
+  if (t.type === 'post') {
+    if (!fs.existsSync(getPostPath(t.id))) return false;
+    await updateJson(getPostPath(t.id), null, post => { if (post) apply(post); });
+  } else {
+    if (!fs.existsSync(getPostCommentsPath(t.postId))) return false;
+    await updateJson(getPostCommentsPath(t.postId), [], comments => {
+      const c = comments.find(x => x.id === t.id && !x.deleted);
+      if (c) apply(c);
+    });
+  }
+  return found;
+}
+
+/* until: ISO string or null (indefinite) */
+async function suspendUser(userId, until, reason, by) {
+  const profile = await updateJson(getUserProfilePath(userId), null, p => {
+    if (p) p.suspended = { until, reason: reason || '', by, at: new Date().toISOString() };
+  });
+  trackSuspension(profile);
+  // drop any open notification streams
+  const streams = notificationStreams.get(userId);
+  if (streams) for (const res of Array.from(streams.keys())) res.end();
+}
+
+async function unsuspendUser(userId) {
+  const profile = await updateJson(getUserProfilePath(userId), null, p => { if (p) delete p.suspended; });
+  trackSuspension(profile);
+}
+
+const MOD_NOTE_RULE = v.string({ label: 'หมายเหตุ', max: 500, optional: true, default: '' });
+
+app.post('/api/report', authMiddleware, requireVerified, validateRequest({
+  body: {
+    targetType: v.enum(REPORT_TARGETS, { label: 'ประเภท' }),
+    targetId: ID_RULE,
+    postId: v.string({ label: 'postId', max: ID_MAX_LENGTH, optional: true }),
+    reason: v.enum(REPORT_REASONS, { label: 'เหตุผล' }),
+    details: v.string({ label: 'รายละเอียด', max: 1000, optional: true, default: '' })
+  }
+}), async (req, res) => {
+  const { targetType, targetId, postId, reason, details } = req.body;
+  if (targetType === 'comment' && !postId) return sendFieldError(res, 'postId', 'required', 'postId: จำเป็นต้องระบุสำหรับการรายงานความคิดเห็น');
+  if (reason === 'other' && !details) return sendFieldError(res, 'details', 'required', 'รายละเอียด: กรุณาอธิบายเหตุผล');
+
+  const target = { type: targetType, id: targetId };
+  if (targetType === 'comment') target.postId = postId;
+  const state = describeReportTarget(target);
+  if (!state.exists) return sendError(res, 'NOT_FOUND', 'ไม่พบเนื้อหาที่ต้องการรายงาน');
+  if (state.username === req.user.username) return sendError(res, 'INVALID_ACTION', 'รายงานตัวเองไม่ได้');
+
+  const key = reportTargetKey(target);
+  const report = {
+    id: uuidv4(),
+    target,
+    targetKey: key,
+    targetUsername: state.username,
+    excerpt: state.excerpt,
+    reason,
+    details,
+    reporterId: req.user.id,
+    reporterUsername: req.user.username,
+    status: 'open',
+    createdAt: new Date().toISOString()
+  };
+  let duplicate = false;
+  await updateJson(REPORTS_PATH, [], reports => {
+    if (reports.some(r => r.status === 'open' && r.targetKey === key && r.reporterId === req.user.id)) { duplicate = true; return; }
+    reports.unshift(report);
+  });
+  if (duplicate) return sendError(res, 'ALREADY_REPORTED');
+  res.json({ success: true, reportId: report.id });
+});
+
+// Queue: ?status=open|resolved|dismissed|all (default open) &limit&before=<cursor>
+app.get('/api/mod/reports', authMiddleware, requireRole('moderator', 'admin'), validateRequest({
+  query: { status: v.enum(['open', 'resolved', 'dismissed', 'all'], { label: 'status', optional: true }), ...PAGE_QUERY }
+}), (req, res) => {
+  const status = req.query.status || 'open';
+  const reports = readJsonArray(REPORTS_PATH).filter(r => status === 'all' || r.status === status);
+  // how many open reports each target has, so the queue can show repeat offenders
+  const openCounts = new Map();
+  for (const r of readJsonArray(REPORTS_PATH)) {
+    if (r.status === 'open') openCounts.set(r.targetKey, (openCounts.get(r.targetKey) || 0) + 1);
+  }
+  const byId = new Map(reports.map(r => [r.id, r]));
+  const { items, nextCursor } = paginateEntries(reports.map(r => ({ id: r.id, createdAt: r.createdAt })), req.query, e => {
+    const r = byId.get(e.id);
+    return { ...r, reasonLabel: REPORT_REASONS[r.reason], openReports: openCounts.get(r.targetKey) || 0, current: describeReportTarget(r.target) };
+  });
+  res.json({ success: true, reasons: REPORT_REASONS, reports: items, nextCursor });
+});
+
+// body { action: dismiss|hide|delete|suspend, note, days (suspend only; empty = indefinite) }
+app.post('/api/mod/reports/:id/resolve', authMiddleware, requireRole('moderator', 'admin'), validateRequest({
+  params: ID_PARAMS,
+  body: {
+    action: v.enum(MOD_ACTIONS, { label: 'action' }),
+    note: MOD_NOTE_RULE,
+    days: v.number({ label: 'จำนวนวัน', int: true, min: 1, max: 3650, optional: true })
+  }
+}), async (req, res) => {
+  const { action, note, days } = req.body;
+  const report = readJsonArray(REPORTS_PATH).find(r => r.id === req.params.id);
+  if (!report) return sendError(res, 'NOT_FOUND', 'ไม่พบรายงาน');
+  if (report.status !== 'open') return sendError(res, 'ALREADY_RESOLVED');
+
+  const t = report.target;
+  const actor = { id: req.user.id, username: req.user.username };
+  const logEntry = { action, target: t, targetUsername: report.targetUsername, reportId: report.id, moderator: actor.username, note };
+  if (action === 'hide') {
+    if (t.type === 'user') return sendError(res, 'INVALID_ACTION', 'ซ่อนบัญชีผู้ใช้ไม่ได้ ใช้การระงับบัญชีแทน');
+    if (!(await setModHidden(t, true, actor.username, note))) return sendError(res, 'NOT_FOUND', 'ไม่พบเนื้อหาที่ถูกรายงาน');
+  } else if (action === 'delete') {
+    if (t.type === 'post') {
+      const post = readJson(getPostPath(t.id));
+      if (!post) return sendError(res, 'NOT_FOUND', 'ไม่พบเนื้อหาที่ถูกรายงาน');
+      await deletePost(post);
+    } else if (t.type === 'comment') {
+      if (!(await deleteComment(t.postId, t.id, () => true))) return sendError(res, 'NOT_FOUND', 'ไม่พบเนื้อหาที่ถูกรายงาน');
+    } else {
+      return sendError(res, 'INVALID_ACTION', 'ลบบัญชีผู้ใช้ไม่ได้ ใช้การระงับบัญชีแทน');
+    }
+  } else if (action === 'suspend') {
+    const userId = usernameIndex.get(report.targetUsername);
+    if (!userId) return sendError(res, 'NOT_FOUND', 'ไม่พบผู้ใช้');
+    const targetRole = getUserRole(userId);
+    // moderators can't suspend staff; admins can suspend moderators but not other admins
+    if (targetRole === 'admin' || (targetRole === 'moderator' && getUserRole(actor.id) !== 'admin')) {
+      return sendError(res, 'FORBIDDEN', 'ไม่มีสิทธิ์ระงับบัญชีของผู้ดูแล');
+    }
+    const until = days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null;
+    await suspendUser(userId, until, note || REPORT_REASONS[report.reason], actor.username);
+    logEntry.until = until;
+  }
+
+  // one decision closes every open report on the same target
+  const status = action === 'dismiss' ? 'dismissed' : 'resolved';
+  const resolution = { action, by: actor.username, note, at: new Date().toISOString() };
+  let closed = [];
+  await updateJson(REPORTS_PATH, [], reports => {
+    closed = reports.filter(r => r.status === 'open' && r.targetKey === report.targetKey);
+    for (const r of closed) {
+      r.status = status;
+      r.resolution = resolution;
+    }
+  });
+  await appendModLog({ ...logEntry, reportIds: closed.map(r => r.id) });
+
+  const message = action === 'dismiss'
+    ? 'เราตรวจสอบรายงานของคุณแล้ว และไม่พบการละเมิดกฎของชุมชน'
+    : 'เราตรวจสอบรายงานของคุณแล้ว และได้ดำเนินการกับเนื้อหาดังกล่าว ขอบคุณที่ช่วยดูแลชุมชน';
+  const notified = new Set();
+  for (const r of closed) {
+    if (notified.has(r.reporterId)) continue;
+    notified.add(r.reporterId);
+    await addNotificationToUser(r.reporterId, 'report_update', message, { reportId: r.id, action: status });
+  }
+  res.json({ success: true, status, closed: closed.length });
+});
+
+// Undo a hide without a report (e.g. after an appeal): body { targetType: post|comment, targetId, postId, note }
+app.post('/api/mod/unhide', authMiddleware, requireRole('moderator', 'admin'), validateRequest({
+  body: {
+    targetType: v.enum(['post', 'comment'], { label: 'ประเภท' }),
+    targetId: ID_RULE,
+    postId: v.string({ label: 'postId', max: ID_MAX_LENGTH, optional: true }),
+    note: MOD_NOTE_RULE
+  }
+}), async (req, res) => {
+  const { targetType, targetId, postId, note } = req.body;
+  if (targetType === 'comment' && !postId) return sendFieldError(res, 'postId', 'required', 'postId: จำเป็นต้องระบุสำหรับความคิดเห็น');
+  const t = { type: targetType, id: targetId };
+  if (targetType === 'comment') t.postId = postId;
+  if (!(await setModHidden(t, false))) return sendError(res, 'NOT_FOUND', 'ไม่พบเนื้อหา');
+  await appendModLog({ action: 'unhide', target: t, moderator: req.user.username, note });
+  res.json({ success: true });
+});
+
+app.post('/api/mod/users/:username/unsuspend', authMiddleware, requireRole('moderator', 'admin'), validateRequest({
+  params: USERNAME_PARAMS,
+  body: { note: MOD_NOTE_RULE }
+}), async (req, res) => {
+  const userId = usernameIndex.get(req.params.username);
+  if (!userId) return sendError(res, 'NOT_FOUND', 'ไม่พบผู้ใช้');
+  if (!isSuspended(userId)) return sendError(res, 'NOT_SUSPENDED');
+  await unsuspendUser(userId);
+  await appendModLog({ action: 'unsuspend', target: { type: 'user', id: req.params.username }, targetUsername: req.params.username, moderator: req.user.username, note: req.body.note });
   res.json({ success: true });
 });
 
-/* 404 fallback */
+// Admins only: body { role: user|moderator|admin }
+app.post('/api/mod/users/:username/role', authMiddleware, requireRole('admin'), validateRequest({
+  params: USERNAME_PARAMS,
+  body: { role: v.enum(ROLES, { label: 'บทบาท' }) }
+}), async (req, res) => {
+  const { role } = req.body;
+  const userId = usernameIndex.get(req.params.username);
+  if (!userId) return sendError(res, 'NOT_FOUND', 'ไม่พบผู้ใช้');
+  if (userId === req.user.id) return sendError(res, 'INVALID_ACTION', 'เปลี่ยนบทบาทของตัวเองไม่ได้');
+  await updateJson(getUserProfilePath(userId), null, p => { if (p) p.role = role; });
+  await appendModLog({ action: 'role', target: { type: 'user', id: req.params.username }, targetUsername: req.params.username, moderator: req.user.username, role });
+  res.json({ success: true, role });
+});
+
+app.get('/api/mod/log', authMiddleware, requireRole('moderator', 'admin'), validateRequest({ query: PAGE_QUERY }), (req, res) => {
+  const log = readJsonArray(MOD_LOG_PATH);
+  const byId = new Map(log.map(e => [e.id, e]));
+  const { items, nextCursor } = paginateEntries(log.map(e => ({ id: e.id, createdAt: e.createdAt })), req.query, e => byId.get(e.id));
+  res.json({ success: true, log: items, nextCursor });
+});
+
+/* 404 fallback: the error shape for /api, plain text for pages */
 app.use((req, res) => {
+  if (isApiRequest(req)) return sendError(res, 'NOT_FOUND');
   res.status(404).send('Not found');
 });
 
+/* Errors from the body parsers, multer or a handler; pages keep Express's default page */
+app.use((err, req, res, next) => {
+  if (res.headersSent || !isApiRequest(req)) return next(err);
+  if (err.type === 'entity.parse.failed') return sendError(res, 'INVALID_JSON');
+  if (err.type === 'entity.too.large') return sendError(res, 'PAYLOAD_TOO_LARGE');
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      const mb = Math.round(config.maxUploadBytes / (1024 * 1024) * 10) / 10;
+      return sendFieldError(res, err.field || 'file', 'too_large', `ไฟล์ต้องมีขนาดไม่เกิน ${mb} MB`);
+    }
+    // LIMIT_UNEXPECTED_FILE: an unknown file field, or more files than the field allows;
+    // LIMIT_FILE_COUNT: more files than all fields together allow (only post images get there)
+    const tooMany = err.code === 'LIMIT_UNEXPECTED_FILE' || err.code === 'LIMIT_FILE_COUNT';
+    const msg = tooMany && (err.code === 'LIMIT_FILE_COUNT' || UPLOAD_IMAGE_FIELDS.includes(err.field))
+      ? `แนบรูปได้ไม่เกิน ${config.maxPostImages} รูป`
+      : 'ไฟล์ที่อัปโหลดไม่ถูกต้อง';
+    return sendFieldError(res, err.field || 'file', tooMany ? 'not_allowed' : 'too_large', msg);
+  }
+  console.error('unhandled error', req.method, req.path, (err && err.stack) || err);
+  sendError(res, 'INTERNAL');
+});
+
 /* Start server */
+rebuildUserIndex();
+loadPostIndex();
+loadTagIndex();
+loadRolesAndSuspensions();
+rebuildSessionIndex();
+rebuildSearchIndex();
+rebuildBookmarkIndex();
+rebuildBlockIndex();
+rebuildScheduledPosts();
+startPostScheduler();
 app.listen(PORT, () => {
   console.log(`Community app running at http://localhost:${PORT}`);
 });
\ No newline at end of file